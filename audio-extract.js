@@ -0,0 +1,92 @@
+// BetterFrame - Audio Extraction
+// Decodes a video's audio track with WebAudio and re-encodes it as a compact mono WAV for upload
+
+(function(global) {
+  'use strict';
+
+  const log = BetterFrameLogger.create('Audio');
+
+  // 16 kHz mono is what speech models work at internally; higher rates only add upload size
+  const TARGET_SAMPLE_RATE = 16000;
+
+  /**
+   * Average every channel of a decoded buffer into one mono channel
+   */
+  function downmixToMono(audioBuffer) {
+    const channelCount = audioBuffer.numberOfChannels;
+    if (channelCount === 1) {
+      return audioBuffer.getChannelData(0);
+    }
+
+    const mono = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < channelCount; channel++) {
+      const data = audioBuffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        mono[i] += data[i] / channelCount;
+      }
+    }
+    return mono;
+  }
+
+  /**
+   * Encode mono float samples as a 16-bit PCM WAV file
+   */
+  function encodeWav(samples, sampleRate) {
+    const bytesPerSample = 2;
+    const dataSize = samples.length * bytesPerSample;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+      }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * bytesPerSample, true); // byte rate
+    view.setUint16(32, bytesPerSample, true); // block align
+    view.setUint16(34, 16, true); // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < samples.length; i++, offset += bytesPerSample) {
+      const sample = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+  }
+
+  /**
+   * Decode the audio track of a media file and return it as a 16 kHz mono WAV blob.
+   * Rejects when the browser can't decode the file or it has no audio.
+   */
+  async function extractAudio(mediaBlob) {
+    const arrayBuffer = await mediaBlob.arrayBuffer();
+
+    // decodeAudioData resamples to the context's rate, so the offline context does the downsampling
+    const context = new OfflineAudioContext(1, 1, TARGET_SAMPLE_RATE);
+    const audioBuffer = await context.decodeAudioData(arrayBuffer);
+    if (audioBuffer.length === 0) {
+      throw new Error('The video has no audio track');
+    }
+
+    log.info(`Decoded ${audioBuffer.duration.toFixed(1)}s of audio (${audioBuffer.numberOfChannels} channel(s))`);
+    return encodeWav(downmixToMono(audioBuffer), audioBuffer.sampleRate);
+  }
+
+  global.BetterFrameAudio = {
+    TARGET_SAMPLE_RATE,
+    extractAudio,
+    encodeWav
+  };
+})(globalThis);
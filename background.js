@@ -0,0 +1,519 @@
+// BetterFrame - Background Service Worker
+// Owns transcription jobs so they survive SPA navigation, closed tabs and worker restarts.
+// Content scripts start, cancel, retry and dismiss jobs by message and get progress pushed back.
+// Batch jobs wait in a queue and run a few at a time.
+
+importScripts('logger.js', 'settings.js', 'transcription-providers.js', 'transcript-cache.js');
+
+(function() {
+  'use strict';
+
+  const log = BetterFrameLogger.create('Background');
+
+  const JOBS_STORAGE_KEY = 'transcriptionJobs';
+  const FRAMEIO_TAB_PATTERN = 'https://app.frame.io/*';
+  const OFFSCREEN_URL = 'offscreen.html';
+  const BROADCAST_INTERVAL_MS = 250;
+  // Batch jobs beyond this many wait in the queue, so ten cuts don't download at once
+  const MAX_CONCURRENT_JOBS = 2;
+  const RESOLVE_TIMEOUT_MS = 60 * 1000;
+
+  // Jobs by id, mirrored to chrome.storage.local; AbortControllers only exist for jobs running in this worker.
+  // Finished jobs' results go to the transcript cache's job store instead, as they can outgrow storage.local's quota.
+  let jobsPromise = null;
+  const controllers = new Map();
+  let creatingOffscreen = null;
+
+  /**
+   * Load the persisted jobs once per worker lifetime
+   */
+  function loadJobs() {
+    if (!jobsPromise) {
+      jobsPromise = chrome.storage.local.get(JOBS_STORAGE_KEY).then((result) => result[JOBS_STORAGE_KEY] || {});
+    }
+    return jobsPromise;
+  }
+
+  /**
+   * Write every job back to storage
+   */
+  async function persistJobs() {
+    const jobs = await loadJobs();
+    await chrome.storage.local.set({ [JOBS_STORAGE_KEY]: jobs });
+  }
+
+  /**
+   * Persist jobs from a callback that can't wait for the write, logging a failed one
+   */
+  function persistJobsLater() {
+    persistJobs().catch((error) => log.error('Could not save transcription jobs:', error));
+  }
+
+  /**
+   * Get a finished job's result from the transcript cache
+   */
+  async function loadJobResult(job) {
+    // Jobs finished by earlier versions kept their result in the job itself
+    return job.result || BetterFrameTranscriptCache.getJobResult(job.id);
+  }
+
+  /**
+   * The part of a job a content script needs to show its progress
+   */
+  function summarizeJob(job) {
+    const provider = job.providerId ? BetterFrameTranscriptionProviders.PROVIDERS[job.providerId] : null;
+    return {
+      id: job.id,
+      assetKey: job.assetKey,
+      title: job.title,
+      batch: job.batch,
+      status: job.status,
+      progress: job.progress,
+      providerId: job.providerId,
+      providerLabel: provider ? provider.label : null,
+      startedAt: job.startedAt
+    };
+  }
+
+  /**
+   * Send a message about a job to every Frame.io tab showing its asset, and to the tab that queued its batch
+   */
+  async function sendToJobTabs(job, message) {
+    const tabs = await chrome.tabs.query({ url: FRAMEIO_TAB_PATTERN });
+    tabs
+      .filter((tab) => tab.id === job.tabId || BetterFrameTranscriptCache.getAssetKey(tab.url) === job.assetKey)
+      .forEach((tab) => chrome.tabs.sendMessage(tab.id, message).catch(() => {}));
+  }
+
+  /**
+   * Push a job's current state to its tabs
+   */
+  async function broadcastJob(job) {
+    job.lastBroadcast = Date.now();
+    try {
+      if (job.status === 'completed') {
+        await sendToJobTabs(job, { type: 'job:complete', job: summarizeJob(job), result: await loadJobResult(job) });
+      } else {
+        await sendToJobTabs(job, { type: 'job:update', job: summarizeJob(job) });
+      }
+    } catch (error) {
+      log.error(`Could not send the state of job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Merge a progress update into a job.
+   * Stage changes are persisted and broadcast at once; byte counts at most every 250ms.
+   */
+  function updateProgress(job, update) {
+    const stageChanged = Boolean(update.stage) && update.stage !== job.progress.stage;
+    if (stageChanged) {
+      job.progress = { stage: update.stage, stageStartedAt: Date.now(), note: job.progress.note };
+    }
+    Object.assign(job.progress, update);
+
+    if (stageChanged || update.note) {
+      persistJobsLater();
+    }
+    if (stageChanged || Date.now() - (job.lastBroadcast || 0) > BROADCAST_INTERVAL_MS) {
+      broadcastJob(job);
+    }
+  }
+
+  /**
+   * Open the offscreen document that downloads, extracts and uploads media
+   */
+  async function ensureOffscreenDocument() {
+    if (await chrome.offscreen.hasDocument()) return;
+    if (!creatingOffscreen) {
+      creatingOffscreen = chrome.offscreen.createDocument({
+        url: OFFSCREEN_URL,
+        reasons: ['BLOBS'],
+        justification: 'Download the video, decode its audio track with WebAudio and upload it for transcription'
+      }).finally(() => {
+        creatingOffscreen = null;
+      });
+    }
+    await creatingOffscreen;
+  }
+
+  /**
+   * Close the offscreen document once no job might still need its media
+   */
+  async function closeOffscreenIfIdle() {
+    const jobs = await loadJobs();
+    const busy = Object.values(jobs).some((job) => job.status === 'running' || job.status === 'failed');
+    if (!busy && await chrome.offscreen.hasDocument()) {
+      await chrome.offscreen.closeDocument();
+    }
+  }
+
+  /**
+   * Have the offscreen document prepare and submit a job's media, and resolve with the new provider state
+   */
+  async function submitInOffscreen(job, config) {
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      type: 'offscreen:submit',
+      job: { id: job.id, videoUrl: job.videoUrl, providerId: job.providerId, providerState: job.providerState },
+      config: config,
+      // The offscreen document can't read settings, so it logs at the worker's level
+      logLevel: BetterFrameLogger.getLevel()
+    });
+
+    if (!response || !response.ok) {
+      const error = new Error(response ? response.error : 'The media worker did not respond');
+      if (response && response.name === 'AbortError') {
+        error.name = 'AbortError';
+      }
+      throw error;
+    }
+    return response.state;
+  }
+
+  /**
+   * Find the video URL of an asset nobody has open by loading its page in a background tab.
+   * The tab's content script answers once Frame.io's player has a source.
+   */
+  async function resolveVideoUrl(job, signal) {
+    const tab = await chrome.tabs.create({ url: job.url, active: false });
+    try {
+      const deadline = Date.now() + RESOLVE_TIMEOUT_MS;
+      while (Date.now() < deadline) {
+        await BetterFrameTranscriptionProviders.wait(1000, signal);
+        // Fails until the page has loaded its content script
+        const response = await chrome.tabs.sendMessage(tab.id, { type: 'asset:video-source' }).catch(() => null);
+        if (response && response.ok) {
+          return response.videoUrl;
+        }
+        if (response && response.error) {
+          throw new Error(response.error);
+        }
+      }
+      throw new Error('Timed out waiting for the asset page to load its video');
+    } finally {
+      chrome.tabs.remove(tab.id).catch(() => {});
+    }
+  }
+
+  /**
+   * Run (or resume) a job: media work in the offscreen document, then job creation and polling here.
+   * Finished steps are skipped using the provider state saved from earlier attempts.
+   */
+  async function runJob(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    job.status = 'running';
+    job.progress = { stage: 'starting', stageStartedAt: Date.now(), note: job.progress.note };
+    broadcastJob(job);
+
+    try {
+      await persistJobs();
+      // Settings are read on every attempt, so Retry picks up a newly saved API key
+      const settings = await BetterFrameSettings.load();
+      const { provider, config } = BetterFrameTranscriptionProviders.resolve(settings);
+      if (job.providerId && job.providerId !== provider.id) {
+        job.providerState = {};
+      }
+      job.providerId = provider.id;
+      log.info(`Running job ${job.id} with ${provider.label}`);
+
+      if (provider.needsMedia(job.providerState)) {
+        // Batch jobs only know the asset's page until it is opened
+        if (!job.videoUrl) {
+          updateProgress(job, { stage: 'resolve' });
+          job.videoUrl = await resolveVideoUrl(job, controller.signal);
+          await persistJobs();
+        }
+        job.providerState = await submitInOffscreen(job, config);
+        controller.signal.throwIfAborted();
+        await persistJobs();
+      }
+
+      const context = {
+        signal: controller.signal,
+        state: job.providerState,
+        onProgress: (update) => {
+          updateProgress(job, update);
+          // Save the job id as soon as it exists, so a restarted worker resumes polling it
+          persistJobsLater();
+        }
+      };
+      const submitted = await provider.submit(null, config, context);
+      const raw = await provider.poll(submitted, config, context);
+
+      // A failed write leaves the job failed with its provider state, so Retry fetches the result again
+      await BetterFrameTranscriptCache.putJobResult(job.id, provider.normalize(raw));
+      job.status = 'completed';
+      job.providerState = {};
+      job.progress = { stage: 'done', stageStartedAt: Date.now(), note: job.progress.note };
+      log.info(`✓ Job ${job.id} completed`);
+      forgetMedia(job.id);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        log.info(`Job ${job.id} cancelled`);
+        job.status = 'cancelled';
+      } else {
+        log.error(`Job ${job.id} failed:`, error);
+        job.status = 'failed';
+        job.progress = { stage: 'failed', stageStartedAt: Date.now(), note: job.progress.note, error: error.message };
+      }
+    } finally {
+      controllers.delete(job.id);
+    }
+
+    try {
+      if (job.status === 'cancelled') {
+        await removeJob(job);
+      } else {
+        await persistJobs();
+      }
+    } catch (error) {
+      log.error(`Could not save job ${job.id}:`, error);
+    }
+    broadcastJob(job);
+    pumpQueue();
+  }
+
+  /**
+   * Start queued batch jobs, oldest first, while fewer than MAX_CONCURRENT_JOBS are running
+   */
+  async function pumpQueue() {
+    const jobs = await loadJobs();
+    const all = Object.values(jobs);
+    let running = all.filter((job) => job.status === 'running').length;
+
+    all
+      .filter((job) => job.status === 'queued')
+      .sort((a, b) => a.startedAt - b.startedAt)
+      .forEach((job) => {
+        if (running < MAX_CONCURRENT_JOBS) {
+          running++;
+          runJob(job);
+        }
+      });
+  }
+
+  /**
+   * Let the offscreen document drop a job's media
+   */
+  function forgetMedia(jobId) {
+    chrome.runtime.sendMessage({ target: 'offscreen', type: 'offscreen:forget', jobId: jobId }).catch(() => {});
+  }
+
+  /**
+   * Delete a job and its media
+   */
+  async function removeJob(job) {
+    const jobs = await loadJobs();
+    delete jobs[job.id];
+    forgetMedia(job.id);
+    if (job.status === 'completed') {
+      BetterFrameTranscriptCache.removeJobResult(job.id).catch((error) => {
+        log.warn(`Could not delete the result of job ${job.id}:`, error);
+      });
+    }
+    await persistJobs();
+    await closeOffscreenIfIdle();
+  }
+
+  /**
+   * Find the newest job for an asset
+   */
+  async function findJobForAsset(assetKey) {
+    const jobs = await loadJobs();
+    return Object.values(jobs)
+      .filter((job) => job.assetKey === assetKey)
+      .sort((a, b) => b.startedAt - a.startedAt)[0] || null;
+  }
+
+  /**
+   * Create a job record for an asset, replacing a failed or cancelled one
+   */
+  async function createJob(request, fields) {
+    const existing = await findJobForAsset(request.assetKey);
+    if (existing) {
+      await removeJob(existing);
+    }
+
+    const jobs = await loadJobs();
+    const job = {
+      id: crypto.randomUUID(),
+      assetKey: request.assetKey,
+      title: request.title,
+      url: request.url,
+      videoUrl: request.videoUrl || null,
+      batch: false,
+      tabId: null,
+      providerId: null,
+      providerState: {},
+      status: 'running',
+      progress: {},
+      startedAt: Date.now(),
+      ...fields
+    };
+    jobs[job.id] = job;
+    return job;
+  }
+
+  /**
+   * Start a job for an asset, or return the one already running for it.
+   * Jobs the user starts from the player run at once, without waiting for the batch queue.
+   */
+  async function startJob(request) {
+    const existing = await findJobForAsset(request.assetKey);
+    if (existing && (existing.status === 'running' || existing.status === 'queued')) {
+      if (existing.status === 'queued') {
+        existing.videoUrl = request.videoUrl;
+        runJob(existing);
+      }
+      return existing;
+    }
+
+    const job = await createJob(request);
+    runJob(job);
+    return job;
+  }
+
+  /**
+   * Queue a job for every asset of a batch, keeping jobs that are already queued, running or finished
+   */
+  async function startBatch(assets, tabId) {
+    const queued = [];
+    for (const asset of assets) {
+      const existing = await findJobForAsset(asset.assetKey);
+      if (existing && existing.status !== 'failed' && existing.status !== 'cancelled') {
+        existing.tabId = tabId;
+        queued.push(existing);
+      } else {
+        queued.push(await createJob(asset, {
+          batch: true,
+          tabId: tabId,
+          status: 'queued',
+          progress: { stage: 'waiting', stageStartedAt: Date.now() }
+        }));
+      }
+    }
+    await persistJobs();
+    pumpQueue();
+    return queued;
+  }
+
+  /**
+   * Answer the job API used by content scripts
+   */
+  async function handleJobMessage(message, sender) {
+    const jobs = await loadJobs();
+    const job = message.jobId ? jobs[message.jobId] : null;
+
+    switch (message.type) {
+      case 'job:start':
+        return { ok: true, job: summarizeJob(await startJob(message)) };
+
+      case 'batch:start': {
+        const batchJobs = await startBatch(message.assets, sender.tab ? sender.tab.id : null);
+        return {
+          ok: true,
+          jobs: await Promise.all(batchJobs.map(async (batchJob) => ({
+            job: summarizeJob(batchJob),
+            result: batchJob.status === 'completed' ? await loadJobResult(batchJob) : null
+          })))
+        };
+      }
+
+      case 'job:get': {
+        const found = await findJobForAsset(message.assetKey);
+        return {
+          ok: true,
+          job: found ? summarizeJob(found) : null,
+          result: found && found.status === 'completed' ? await loadJobResult(found) : null
+        };
+      }
+
+      case 'job:cancel':
+        if (job && job.status === 'queued') {
+          job.status = 'cancelled';
+          broadcastJob(job);
+          await removeJob(job);
+        } else if (job && controllers.has(job.id)) {
+          controllers.get(job.id).abort();
+          chrome.runtime.sendMessage({ target: 'offscreen', type: 'offscreen:cancel', jobId: job.id }).catch(() => {});
+        }
+        return { ok: true };
+
+      case 'job:retry':
+        if (job && job.status === 'failed') {
+          runJob(job);
+        }
+        return { ok: true, job: job ? summarizeJob(job) : null };
+
+      case 'job:dismiss':
+        // Sent for failed jobs the user gave up on, and once a tab has saved a finished transcript
+        if (job && job.status !== 'running' && job.status !== 'queued') {
+          await removeJob(job);
+        }
+        return { ok: true };
+
+      default:
+        return { ok: false, error: `Unknown message: ${message.type}` };
+    }
+  }
+
+  /**
+   * The worker's part of the popup's "Copy diagnostics" report: its recent events and every job it knows
+   */
+  async function collectDiagnostics() {
+    const jobs = await loadJobs();
+    return BetterFrameLogger.redact({
+      events: BetterFrameLogger.getEntries(),
+      jobs: Object.values(jobs).map(summarizeJob)
+    });
+  }
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || message.target === 'offscreen') return false;
+
+    if (message.type === 'diagnostics:collect') {
+      collectDiagnostics()
+        .then((diagnostics) => sendResponse({ ok: true, diagnostics }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+    }
+
+    if (message.type === 'offscreen:progress') {
+      loadJobs().then((jobs) => {
+        const job = jobs[message.jobId];
+        if (job && job.status === 'running') {
+          updateProgress(job, message.update);
+        }
+      }).catch((error) => log.error('Could not load transcription jobs:', error));
+      return false;
+    }
+
+    if (typeof message.type === 'string' && /^(job|batch):/.test(message.type)) {
+      handleJobMessage(message, sender)
+        .then(sendResponse)
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+    }
+    return false;
+  });
+
+  /**
+   * Pick up jobs that were running when the previous worker instance stopped
+   */
+  async function resumeJobs() {
+    const jobs = await loadJobs();
+    Object.values(jobs)
+      .filter((job) => job.status === 'running' && !controllers.has(job.id))
+      .forEach((job) => {
+        log.info(`Resuming job ${job.id}`);
+        runJob(job);
+      });
+    pumpQueue();
+  }
+
+  BetterFrameLogger.followSettings();
+  resumeJobs();
+})();
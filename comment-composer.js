@@ -0,0 +1,224 @@
+// BetterFrame - Comment Composer
+// Writes comments straight into Frame.io's Slate comment editor, as point or range comments, and optionally posts them
+
+(function(global) {
+  'use strict';
+
+  const selectors = global.BetterFrameSelectors;
+
+  /**
+   * Find the visible comment editor, or null when the comments panel is closed
+   */
+  function findEditor() {
+    return selectors.find('commentEditor');
+  }
+
+  /**
+   * Collapse whitespace so editor text can be compared with what was inserted
+   */
+  function normalizeText(text) {
+    return text.replace(/[\u200B\uFEFF]/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Read the editor's text without Slate's placeholder
+   */
+  function getEditorText(editor) {
+    const clone = editor.cloneNode(true);
+    clone.querySelectorAll('[data-slate-placeholder], [contenteditable="false"]').forEach((node) => node.remove());
+    return normalizeText(clone.textContent);
+  }
+
+  /**
+   * Whether every line of `text` now appears in the editor
+   */
+  function editorContains(editor, text) {
+    const content = getEditorText(editor);
+    return text.split('\n').map(normalizeText).filter(Boolean).every((line) => content.includes(line));
+  }
+
+  /**
+   * Focus the editor and put the caret after its existing content
+   */
+  function placeCaretAtEnd(editor) {
+    editor.focus();
+    const range = document.createRange();
+    range.selectNodeContents(editor);
+    range.collapse(false);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /**
+   * Let Slate process its input and selection events before checking the result
+   */
+  function nextFrame() {
+    return new Promise((resolve) => requestAnimationFrame(() => setTimeout(resolve, 0)));
+  }
+
+  /**
+   * Insert text the way a plain-text paste does.
+   * Slate handles plain-text pastes itself and turns each line into a paragraph.
+   */
+  function pasteText(editor, text) {
+    const data = new DataTransfer();
+    data.setData('text/plain', text);
+    editor.dispatchEvent(new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true }));
+  }
+
+  /**
+   * Insert text line by line through the browser's editing commands, which fire the beforeinput events Slate listens for
+   */
+  function typeText(text) {
+    text.split('\n').forEach((line, index) => {
+      if (index > 0) {
+        document.execCommand('insertParagraph');
+      }
+      if (line) {
+        document.execCommand('insertText', false, line);
+      }
+    });
+  }
+
+  /**
+   * Add text to the end of the comment editor.
+   * Tries a synthetic paste first, then editing commands; rejects unless the whole text arrived.
+   */
+  async function insertText(editor, text) {
+    const before = getEditorText(editor);
+    const separator = before ? '\n' : '';
+
+    for (const strategy of [pasteText, (target, value) => typeText(value)]) {
+      placeCaretAtEnd(editor);
+      await nextFrame();
+      strategy(editor, separator + text);
+      await nextFrame();
+
+      // Only retry when nothing was inserted, so a partial insert is never doubled
+      if (getEditorText(editor) !== before) {
+        if (editorContains(editor, text)) return;
+        break;
+      }
+    }
+    throw new Error('The comment editor did not accept the text');
+  }
+
+  /**
+   * Find an anchor inside the composer first, then anywhere on the page
+   */
+  function findInComposer(composer, name) {
+    return (composer !== document && selectors.find(name, composer)) || selectors.find(name);
+  }
+
+  /**
+   * Find the composer around the editor, or the whole page when it can't be told apart
+   */
+  function findComposer(editor) {
+    return selectors.closest('commentComposer', editor) || document;
+  }
+
+  /**
+   * Whether the composer shows a time range (two times) rather than a single time
+   */
+  function composerShowsRange(composer, toggle) {
+    const timestamp = findInComposer(composer, 'commentTimestamp');
+    if (timestamp) {
+      return /\d.*[-–—→].*\d/.test(timestamp.textContent);
+    }
+    return toggle.getAttribute('aria-pressed') === 'true' || toggle.getAttribute('aria-checked') === 'true';
+  }
+
+  /**
+   * Set an input's value the way typing does, so React sees the change, and commit it with Enter
+   */
+  function typeIntoInput(input, value) {
+    const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+    input.focus();
+    setter.call(input, value);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', code: 'Enter', bubbles: true, cancelable: true }));
+    input.blur();
+  }
+
+  /**
+   * Turn the composer's comment into a range comment from the playhead to `range.out`.
+   * Frame.io starts a range comment at the playhead; the out point is typed into the composer's out field
+   * when it has one, otherwise the playhead is moved there with `range.seek` while range mode is on.
+   * Resolves true when the composer shows a range afterwards.
+   */
+  async function setRange(editor, range) {
+    const composer = findComposer(editor);
+    const toggle = findInComposer(composer, 'rangeToggle');
+    if (!toggle) {
+      return false;
+    }
+
+    if (!composerShowsRange(composer, toggle)) {
+      toggle.click();
+      await nextFrame();
+    }
+
+    // Only inside the composer: "out" matches too many unrelated fields elsewhere on the page
+    const outInput = composer === document ? null : selectors.find('rangeOutInput', composer);
+    if (outInput) {
+      typeIntoInput(outInput, range.formatTime(range.out));
+    } else {
+      await range.seek(range.out);
+    }
+    await nextFrame();
+
+    return composerShowsRange(composer, toggle);
+  }
+
+  /**
+   * Post the comment in the editor: click the composer's post button, or press Enter as Frame.io's shortcut
+   */
+  async function submit(editor) {
+    const button = selectors.find('commentSubmit', findComposer(editor));
+    if (button) {
+      button.click();
+      return;
+    }
+
+    editor.focus();
+    const init = { key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true, cancelable: true };
+    editor.dispatchEvent(new KeyboardEvent('keydown', init));
+    editor.dispatchEvent(new KeyboardEvent('keyup', init));
+  }
+
+  /**
+   * Write a comment into Frame.io's comment editor and optionally post it.
+   * With `options.range` ({ out, seek, formatTime }) the comment spans from the playhead to `out`.
+   * Resolves with whether the range was set; rejects when there is no editor or it would not take the text,
+   * so callers can fall back to the clipboard.
+   */
+  async function insertComment(text, options = {}) {
+    const editor = findEditor();
+    if (!editor) {
+      throw new Error('Comment box not found. Open the comments panel.');
+    }
+
+    // Range mode first: toggling it can re-render the editor
+    const ranged = options.range ? await setRange(editor, options.range) : false;
+
+    await insertText(findEditor() || editor, text);
+    editor.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    if (options.submit) {
+      await nextFrame();
+      await submit(findEditor() || editor);
+    }
+    return { ranged };
+  }
+
+  global.BetterFrameCommentComposer = {
+    findEditor,
+    getEditorText,
+    insertText,
+    setRange,
+    submit,
+    insertComment
+  };
+})(globalThis);
@@ -0,0 +1,199 @@
+// BetterFrame - Frame.io Selectors
+// One registry for every element BetterFrame looks up in Frame.io's page, with fallbacks and a health check
+
+(function(global) {
+  'use strict';
+
+  // Bump whenever the selectors below change, so health reports say which set was in use
+  const VERSION = 1;
+
+  /**
+   * Whether an element is rendered (hidden elements have no offsetParent)
+   */
+  function isVisible(element) {
+    return element.offsetParent !== null;
+  }
+
+  /**
+   * Whether a control is the play/pause toggle. Its label flips between "Play" and "Pause";
+   * "Playback speed" and "Playlist" must not match.
+   */
+  function isPlayToggle(element) {
+    const label = element.getAttribute('aria-label') || element.getAttribute('title');
+    if (label) {
+      return /^(play|pause)(\s|$)/i.test(label.trim());
+    }
+    return /(^|[\s_-])play(-?button)?($|[\s_-])/i.test(typeof element.className === 'string' ? element.className : '');
+  }
+
+  /**
+   * Whether an element has the shape of the scrubber bar: wide and thin, not a handle or tooltip
+   */
+  function isScrubberBar(element) {
+    const rect = element.getBoundingClientRect();
+    return rect.width > 100 && rect.height > 0 && rect.height < 60;
+  }
+
+  /**
+   * Whether an element shows Frame.io's frame rate, e.g. "23.976 fps"
+   */
+  function showsFrameRate(element) {
+    return /\d{2}(?:\.\d{1,3})?\s*fps\b/i.test(element.textContent || '');
+  }
+
+  /**
+   * Every Frame.io anchor, selectors most specific first.
+   * `critical` anchors are needed to inject the controls; `filter` picks among the matches of a selector.
+   * `context` says when an anchor is expected, for anchors that are only on screen some of the time.
+   */
+  const ANCHORS = {
+    video: {
+      description: 'Video player',
+      critical: true,
+      selectors: ['video']
+    },
+    playButton: {
+      description: 'Play/pause button',
+      critical: true,
+      // Frame.io uses <div role="button"> for most player controls
+      selectors: ['[role="button"][aria-label]', 'button[aria-label]', 'button[title]', 'button[class*="play" i]'],
+      filter: isPlayToggle
+    },
+    playerContainer: {
+      description: 'Player container (moved aside for the transcript sidebar)',
+      selectors: [
+        '[class^="ReviewLinkPlayer__Container-sc"]',
+        '[class*="ReviewLinkPlayer__Container"]'
+      ]
+    },
+    scrubber: {
+      description: 'Scrubber (loop region overlay)',
+      selectors: ['[class*="Scrubber"]', '[class*="scrubber"]', '[class*="Timeline"]', '[class*="timeline"]', '[role="slider"]'],
+      filter: isScrubberBar
+    },
+    frameRate: {
+      description: 'Frame rate in the asset metadata',
+      context: 'Only while the asset info is shown; otherwise the frame rate is measured during playback',
+      selectors: ['[class*="metadata" i]', '[class*="Metadata"]', '[class*="info" i] span', '[class*="Info"] span'],
+      filter: showsFrameRate
+    },
+    commentEditor: {
+      description: 'Comment box',
+      context: 'Only while the comments panel is open',
+      selectors: ['[data-slate-editor="true"]', '[contenteditable="true"][role="textbox"]'],
+      filter: isVisible
+    },
+    commentComposer: {
+      description: 'Comment composer around the comment box',
+      context: 'Only while the comments panel is open',
+      selectors: ['form', '[class*="comment-composer" i]', '[class*="CommentComposer"]']
+    },
+    commentTimestamp: {
+      description: 'Comment time display',
+      context: 'Only while the comments panel is open',
+      selectors: ['.comment-composer__timestamp-text', '[class*="timestamp-text"]', '[class*="comment-composer" i] [class*="timestamp" i]']
+    },
+    commentSubmit: {
+      description: 'Comment post button',
+      context: 'Only while the comments panel is open',
+      selectors: [
+        'button[type="submit"]',
+        'button[data-testid*="submit" i]',
+        'button[aria-label*="send" i]',
+        'button[aria-label*="post" i]',
+        'button[class*="submit" i]'
+      ],
+      filter: (element) => !element.disabled
+    },
+    rangeToggle: {
+      description: 'Range comment toggle',
+      context: 'Only while the comments panel is open',
+      selectors: [
+        'button[data-testid*="range" i]',
+        'button[aria-label*="range" i]',
+        '[role="switch"][aria-label*="range" i]',
+        'button[class*="range" i]'
+      ]
+    },
+    rangeOutInput: {
+      description: 'Range comment out point field',
+      context: 'Only inside the composer, and only in Frame.io versions that have one',
+      selectors: ['input[aria-label*="out" i]', 'input[data-testid*="out" i]', 'input[name*="out" i]']
+    }
+  };
+
+  /**
+   * Get an anchor's definition, failing loudly on a typo
+   */
+  function getAnchor(name) {
+    const anchor = ANCHORS[name];
+    if (!anchor) {
+      throw new Error(`Unknown Frame.io anchor: ${name}`);
+    }
+    return anchor;
+  }
+
+  /**
+   * Find an anchor, trying each selector in turn. Returns { element, selector }, or null when nothing matched.
+   */
+  function locate(name, root = document) {
+    const anchor = getAnchor(name);
+    for (const selector of anchor.selectors) {
+      for (const element of root.querySelectorAll(selector)) {
+        if (!anchor.filter || anchor.filter(element)) {
+          return { element, selector };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find an anchor's element, or null
+   */
+  function find(name, root = document) {
+    const match = locate(name, root);
+    return match ? match.element : null;
+  }
+
+  /**
+   * Find the closest ancestor of an element (or the element itself) that is the given anchor
+   */
+  function closest(name, element) {
+    // Nearest ancestor matching any selector, rather than selector order: 'form' may also match far up the page
+    return element.closest(getAnchor(name).selectors.join(', '));
+  }
+
+  /**
+   * Look up every anchor and report which were found and by which selector
+   */
+  function check() {
+    const anchors = Object.entries(ANCHORS).map(([name, anchor]) => {
+      const match = locate(name);
+      return {
+        name,
+        description: anchor.description,
+        critical: Boolean(anchor.critical),
+        context: anchor.context || null,
+        found: Boolean(match),
+        selector: match ? match.selector : null
+      };
+    });
+
+    return {
+      version: VERSION,
+      checkedAt: Date.now(),
+      anchors,
+      missingCritical: anchors.filter((anchor) => anchor.critical && !anchor.found)
+    };
+  }
+
+  global.BetterFrameSelectors = {
+    VERSION,
+    ANCHORS,
+    locate,
+    find,
+    closest,
+    check
+  };
+})(globalThis);
@@ -0,0 +1,159 @@
+// BetterFrame - Logger
+// Leveled logging for every extension context, with a ring buffer of recent events for "Copy diagnostics"
+
+(function(global) {
+  'use strict';
+
+  // Most to least severe; the configured level and everything above it reaches the console
+  const LEVELS = ['error', 'warn', 'info', 'debug'];
+  const DEFAULT_LEVEL = 'info';
+  const CONSOLE_METHODS = { error: 'error', warn: 'warn', info: 'log', debug: 'debug' };
+
+  // Every event is buffered whatever the level, so diagnostics have context the console didn't show
+  const BUFFER_SIZE = 200;
+  const MAX_MESSAGE_LENGTH = 1000;
+
+  const REDACTED = '[redacted]';
+  // Object keys whose values are never kept: API keys, tokens, passwords, signatures
+  const SECRET_KEY_PATTERN = /api[-_]?key|token|secret|password|authorization|signature|credential/i;
+
+  let level = DEFAULT_LEVEL;
+  const entries = [];
+
+  /**
+   * Remove credentials from free text: query strings of URLs (signed media URLs carry their signature there),
+   * bearer tokens and key=value / key: value pairs with a secret-looking key
+   */
+  function redactText(text) {
+    return String(text)
+      .replace(/\b(https?:\/\/)(?:[^\s/@"'<>]+@)?([^\s?#"'<>]+)[?#][^\s"'<>)]*/gi, `$1$2?${REDACTED}`)
+      .replace(/\b(Bearer|Basic|Token)\s+[\w.~+/=-]+/gi, `$1 ${REDACTED}`)
+      .replace(/\b((?:api[-_]?key|token|secret|password|authorization)["']?\s*[:=]\s*["']?)[^\s"'&,;}]+/gi, `$1${REDACTED}`);
+  }
+
+  /**
+   * Copy a value with every secret removed: secret-looking keys are blanked and strings go through redactText
+   */
+  function redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+      return redactText(value);
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (seen.has(value)) {
+      return '[circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map((item) => redact(item, seen));
+    }
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = SECRET_KEY_PATTERN.test(key) && item ? REDACTED : redact(item, seen);
+    }
+    return copy;
+  }
+
+  /**
+   * Turn one console argument into text for the buffer
+   */
+  function describe(arg) {
+    if (arg instanceof Error) {
+      return arg.stack || `${arg.name}: ${arg.message}`;
+    }
+    if (arg && typeof arg === 'object') {
+      try {
+        return JSON.stringify(arg);
+      } catch (error) {
+        return Object.prototype.toString.call(arg);
+      }
+    }
+    return String(arg);
+  }
+
+  /**
+   * Whether messages at a level reach the console
+   */
+  function isEnabled(levelName) {
+    return LEVELS.indexOf(levelName) <= LEVELS.indexOf(level);
+  }
+
+  /**
+   * Buffer an event and print it when its level is enabled
+   */
+  function write(levelName, scope, args) {
+    const message = args.map(describe).join(' ');
+    entries.push({
+      time: new Date().toISOString(),
+      level: levelName,
+      scope,
+      message: redactText(message.length > MAX_MESSAGE_LENGTH ? `${message.slice(0, MAX_MESSAGE_LENGTH)}…` : message)
+    });
+    if (entries.length > BUFFER_SIZE) {
+      entries.splice(0, entries.length - BUFFER_SIZE);
+    }
+
+    if (isEnabled(levelName)) {
+      console[CONSOLE_METHODS[levelName]](scope ? `[BetterFrame ${scope}]` : '[BetterFrame]', ...args);
+    }
+  }
+
+  /**
+   * Create a logger whose messages are prefixed with "[BetterFrame <scope>]"
+   */
+  function create(scope = '') {
+    const logger = {};
+    LEVELS.forEach((levelName) => {
+      logger[levelName] = (...args) => write(levelName, scope, args);
+    });
+    return logger;
+  }
+
+  /**
+   * Set the lowest level printed to the console
+   */
+  function setLevel(levelName) {
+    level = LEVELS.includes(levelName) ? levelName : DEFAULT_LEVEL;
+  }
+
+  /**
+   * Get the lowest level printed to the console
+   */
+  function getLevel() {
+    return level;
+  }
+
+  /**
+   * Get buffered events, oldest first: optionally only those at `minLevel` or more severe, and only the last `limit`
+   */
+  function getEntries({ minLevel = 'debug', limit = BUFFER_SIZE } = {}) {
+    const maxIndex = LEVELS.indexOf(minLevel);
+    return entries.filter((entry) => LEVELS.indexOf(entry.level) <= maxIndex).slice(-limit).map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Follow the "logLevel" setting (see settings.js) in this context
+   */
+  function followSettings() {
+    const settings = global.BetterFrameSettings;
+    settings.load().then((loaded) => setLevel(loaded.logLevel)).catch(() => {});
+    settings.onChange((changed) => {
+      if ('logLevel' in changed) {
+        setLevel(changed.logLevel);
+      }
+    });
+  }
+
+  global.BetterFrameLogger = {
+    LEVELS,
+    create,
+    setLevel,
+    getLevel,
+    getEntries,
+    redact,
+    redactText,
+    followSettings
+  };
+})(globalThis);
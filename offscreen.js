@@ -0,0 +1,148 @@
+// BetterFrame - Offscreen Media Worker
+// Downloads the video, extracts its audio and sends it to the provider for the background worker,
+// which has no WebAudio or XMLHttpRequest of its own
+
+(function() {
+  'use strict';
+
+  const log = BetterFrameLogger.create('Offscreen');
+  const { formatFileSize } = BetterFrameFileSize;
+
+  // Per job: the running submission, its AbortController and the prepared upload (kept for Retry)
+  const submissions = new Map();
+  const controllers = new Map();
+  const preparedMedia = new Map();
+
+  /**
+   * Report a progress update for a job to the background worker
+   */
+  function reportProgress(jobId, update) {
+    chrome.runtime.sendMessage({ type: 'offscreen:progress', jobId: jobId, update: update }).catch(() => {});
+  }
+
+  /**
+   * Download the video, reporting progress byte by byte
+   */
+  async function downloadVideo(jobId, videoUrl, signal) {
+    log.info('Fetching video from Frame.io...');
+    const response = await fetch(videoUrl, { signal: signal });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch video: ${response.status} ${response.statusText}`);
+    }
+
+    const total = parseInt(response.headers.get('content-length'), 10) || 0;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    let lastReport = 0;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded += value.length;
+      // Every chunk would flood the message channel
+      if (Date.now() - lastReport > 200) {
+        lastReport = Date.now();
+        reportProgress(jobId, { stage: 'download', loaded: loaded, total: total });
+      }
+    }
+
+    log.info('✓ Video fetched:', formatFileSize(loaded));
+    return new Blob(chunks, { type: response.headers.get('content-type') || '' });
+  }
+
+  /**
+   * Extract the audio track as a compact mono WAV, falling back to the full video
+   * when it can't be decoded or the audio wouldn't be smaller
+   */
+  async function prepareUploadMedia(jobId, videoBlob) {
+    reportProgress(jobId, { stage: 'extract', note: `Video: ${formatFileSize(videoBlob.size)}` });
+
+    try {
+      const audioBlob = await BetterFrameAudio.extractAudio(videoBlob);
+      if (audioBlob.size >= videoBlob.size) {
+        reportProgress(jobId, { note: `Uploading full video (${formatFileSize(videoBlob.size)})` });
+        return videoBlob;
+      }
+      log.info(`✓ Audio extracted: ${formatFileSize(videoBlob.size)} → ${formatFileSize(audioBlob.size)}`);
+      reportProgress(jobId, { note: `Audio only: ${formatFileSize(videoBlob.size)} → ${formatFileSize(audioBlob.size)}` });
+      return audioBlob;
+    } catch (error) {
+      log.warn('⚠ Could not extract audio, uploading the full video instead:', error);
+      reportProgress(jobId, { note: `Audio extraction failed, uploading full video (${formatFileSize(videoBlob.size)})` });
+      return videoBlob;
+    }
+  }
+
+  /**
+   * Prepare the job's media (or reuse it from an earlier attempt) and submit it to the provider.
+   * Resolves with the provider state to continue from in the background worker.
+   */
+  async function submitJob(job, config) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    const signal = controller.signal;
+
+    try {
+      let mediaBlob = preparedMedia.get(job.id);
+      if (!mediaBlob) {
+        const videoBlob = await downloadVideo(job.id, job.videoUrl, signal);
+        mediaBlob = await prepareUploadMedia(job.id, videoBlob);
+        signal.throwIfAborted();
+        preparedMedia.set(job.id, mediaBlob);
+      }
+
+      const state = { ...job.providerState };
+      const provider = BetterFrameTranscriptionProviders.get(job.providerId);
+      await provider.submit(mediaBlob, config, {
+        signal: signal,
+        state: state,
+        onProgress: (update) => reportProgress(job.id, update)
+      });
+      return state;
+    } finally {
+      controllers.delete(job.id);
+    }
+  }
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || message.target !== 'offscreen') return false;
+
+    switch (message.type) {
+      case 'offscreen:submit': {
+        BetterFrameLogger.setLevel(message.logLevel);
+        // A restarted background worker may ask again for a submission that is running or done;
+        // only a failed one (or one for another provider) is started over
+        let submission = submissions.get(message.job.id);
+        if (!submission || submission.settled === 'rejected' || submission.providerId !== message.job.providerId) {
+          const promise = submitJob(message.job, message.config);
+          submission = { promise: promise, providerId: message.job.providerId, settled: false };
+          promise.then(() => { submission.settled = 'fulfilled'; }, () => { submission.settled = 'rejected'; });
+          submissions.set(message.job.id, submission);
+        }
+        submission.promise
+          .then((state) => sendResponse({ ok: true, state: state }))
+          .catch((error) => sendResponse({ ok: false, name: error.name, error: error.message }));
+        return true;
+      }
+
+      case 'offscreen:cancel': {
+        const controller = controllers.get(message.jobId);
+        if (controller) {
+          controller.abort();
+        }
+        return false;
+      }
+
+      case 'offscreen:forget':
+        submissions.delete(message.jobId);
+        preparedMedia.delete(message.jobId);
+        return false;
+
+      default:
+        return false;
+    }
+  });
+
+  log.debug('Media worker ready');
+})();
@@ -1,57 +1,441 @@
 // BetterFrame - Popup Script
-// Handles OpenAI API key storage and retrieval
+// Settings page: loads every setting from the shared schema and saves it back to chrome storage,
+// browses the transcript cache kept by the content script on Frame.io tabs and copies diagnostics for bug reports
 
 (function() {
   'use strict';
 
-  const apiKeyInput = document.getElementById('apiKey');
-  const saveButton = document.getElementById('saveKey');
+  const log = BetterFrameLogger.create('Popup');
+
+  const providerSelect = document.getElementById('transcriptionProvider');
+  const providerFields = document.querySelectorAll('.provider-fields');
+  const apiKeyInput = document.getElementById('assemblyApiKey');
+  const settingInputs = document.querySelectorAll('[data-setting]');
+  const skipStepsContainer = document.getElementById('skipSteps');
+  const addSkipStepButton = document.getElementById('addSkipStep');
+  const frameRateSelect = document.getElementById('frameRate');
+  const shortcutInputs = document.querySelectorAll('[data-shortcut]');
+  const sidebarPositionSelect = document.getElementById('sidebarPosition');
+  const logLevelSelect = document.getElementById('logLevel');
+  const copyDiagnosticsButton = document.getElementById('copyDiagnostics');
+  const templatesContainer = document.getElementById('templates');
+  const addTemplateButton = document.getElementById('addTemplate');
+  const exportTemplatesButton = document.getElementById('exportTemplates');
+  const importTemplatesButton = document.getElementById('importTemplates');
+  const importTemplatesFile = document.getElementById('importTemplatesFile');
+  const templatePlaceholders = document.getElementById('templatePlaceholders');
+  const submitCommentsCheckbox = document.getElementById('submitComments');
+  const saveButton = document.getElementById('saveSettings');
+  const resetButton = document.getElementById('resetSettings');
   const successMessage = document.getElementById('successMessage');
   const errorMessage = document.getElementById('errorMessage');
+  const cacheSummary = document.getElementById('cacheSummary');
+  const cacheList = document.getElementById('cacheList');
+  const clearCacheButton = document.getElementById('clearCache');
+  const transcribeAllButton = document.getElementById('transcribeAll');
+
+  const FRAMEIO_TAB_PATTERN = 'https://app.frame.io/*';
+  // Warnings and errors listed at the top of the diagnostics report, across the tab, worker and popup
+  const DIAGNOSTICS_ERROR_LIMIT = 20;
 
   /**
-   * Load saved API key on popup open
+   * Fill the form from a settings object
    */
-  function loadApiKey() {
-    try {
-      chrome.storage.sync.get(['openaiApiKey'], (result) => {
-        if (chrome.runtime.lastError) {
-          console.error('[BetterFrame Popup] Error loading API key:', chrome.runtime.lastError);
-          return;
-        }
+  function renderSettings(settings) {
+    providerSelect.value = settings.transcriptionProvider;
+    showProviderFields();
+    apiKeyInput.value = settings.assemblyaiApiKey;
+    settingInputs.forEach((input) => {
+      input.value = settings[input.dataset.setting];
+    });
+    frameRateSelect.value = settings.frameRate;
+    sidebarPositionSelect.value = settings.sidebarPosition;
+    logLevelSelect.value = settings.logLevel;
 
-        if (result.openaiApiKey) {
-          apiKeyInput.value = result.openaiApiKey;
-          console.log('[BetterFrame Popup] API key loaded successfully');
-        }
+    shortcutInputs.forEach((input) => {
+      setShortcutInput(input, settings.shortcuts[input.dataset.shortcut]);
+    });
+
+    skipStepsContainer.innerHTML = '';
+    settings.skipSteps.forEach(addSkipStepRow);
+
+    renderTemplates(settings.commentTemplates);
+    submitCommentsCheckbox.checked = settings.submitComments;
+  }
+
+  /**
+   * Read the form back into a settings object
+   */
+  function collectSettings() {
+    const skipSteps = [];
+    skipStepsContainer.querySelectorAll('.skip-step-row').forEach((row) => {
+      skipSteps.push({
+        seconds: parseFloat(row.querySelector('[data-field="seconds"]').value),
+        backwardShortcut: row.querySelector('[data-field="backwardShortcut"]').dataset.value || '',
+        forwardShortcut: row.querySelector('[data-field="forwardShortcut"]').dataset.value || ''
       });
+    });
+
+    const shortcuts = {};
+    shortcutInputs.forEach((input) => {
+      shortcuts[input.dataset.shortcut] = input.dataset.value || '';
+    });
+
+    const values = {};
+    settingInputs.forEach((input) => {
+      values[input.dataset.setting] = input.value.trim();
+    });
+
+    return {
+      ...values,
+      transcriptionProvider: providerSelect.value,
+      assemblyaiApiKey: apiKeyInput.value.trim(),
+      skipSteps: skipSteps.filter((step) => Number.isFinite(step.seconds)),
+      frameRate: frameRateSelect.value,
+      shortcuts: shortcuts,
+      sidebarPosition: sidebarPositionSelect.value,
+      logLevel: logLevelSelect.value,
+      commentTemplates: collectTemplates(),
+      submitComments: submitCommentsCheckbox.checked
+    };
+  }
+
+  /**
+   * Show only the fields for the selected transcription provider
+   */
+  function showProviderFields() {
+    providerFields.forEach((fields) => {
+      fields.classList.toggle('active', fields.dataset.provider === providerSelect.value);
+    });
+  }
+
+  /**
+   * Append an editable row for one skip step
+   */
+  function addSkipStepRow(step) {
+    const row = document.createElement('div');
+    row.className = 'skip-step-row';
+
+    const seconds = document.createElement('input');
+    seconds.type = 'number';
+    seconds.min = '0.1';
+    seconds.max = '600';
+    seconds.step = 'any';
+    seconds.value = step.seconds;
+    seconds.dataset.field = 'seconds';
+    seconds.setAttribute('aria-label', 'Step in seconds');
+    row.appendChild(seconds);
+
+    ['backwardShortcut', 'forwardShortcut'].forEach((field) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.readOnly = true;
+      input.className = 'shortcut-input';
+      input.dataset.field = field;
+      input.setAttribute('aria-label', field === 'backwardShortcut' ? 'Backward shortcut' : 'Forward shortcut');
+      setShortcutInput(input, step[field]);
+      row.appendChild(input);
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'remove-step';
+    remove.textContent = '×';
+    remove.title = 'Remove step';
+    remove.addEventListener('click', () => row.remove());
+    row.appendChild(remove);
+
+    skipStepsContainer.appendChild(row);
+  }
+
+  /**
+   * Replace the template editor's rows
+   */
+  function renderTemplates(templates) {
+    templatesContainer.innerHTML = '';
+    templates.forEach(addTemplateRow);
+    updateTemplateMoveButtons();
+  }
+
+  /**
+   * Append an editable card for one comment template
+   */
+  function addTemplateRow(template) {
+    const row = document.createElement('div');
+    row.className = 'template-row';
+    row.dataset.id = template.id;
+
+    const header = document.createElement('div');
+    header.className = 'template-header';
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.value = template.name;
+    name.placeholder = 'Menu label';
+    name.dataset.field = 'name';
+    name.setAttribute('aria-label', 'Template name');
+    header.appendChild(name);
+
+    [['↑', -1, 'Move up'], ['↓', 1, 'Move down']].forEach(([label, direction, title]) => {
+      const move = document.createElement('button');
+      move.className = 'template-move';
+      move.textContent = label;
+      move.title = title;
+      move.dataset.direction = direction;
+      move.addEventListener('click', () => moveTemplateRow(row, direction));
+      header.appendChild(move);
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'remove-step';
+    remove.textContent = '×';
+    remove.title = 'Delete template';
+    remove.addEventListener('click', () => {
+      row.remove();
+      updateTemplateMoveButtons();
+    });
+    header.appendChild(remove);
+
+    const text = document.createElement('textarea');
+    text.value = template.text;
+    text.dataset.field = 'text';
+    text.setAttribute('aria-label', 'Template text');
+
+    const options = document.createElement('div');
+    options.className = 'template-options';
+
+    const menuLabel = document.createElement('label');
+    const showInMenu = document.createElement('input');
+    showInMenu.type = 'checkbox';
+    showInMenu.checked = template.showInMenu;
+    showInMenu.dataset.field = 'showInMenu';
+    menuLabel.appendChild(showInMenu);
+    menuLabel.appendChild(document.createTextNode('Show in menu'));
+    options.appendChild(menuLabel);
+
+    const shortcut = document.createElement('input');
+    shortcut.type = 'text';
+    shortcut.readOnly = true;
+    shortcut.className = 'shortcut-input';
+    shortcut.dataset.field = 'shortcut';
+    shortcut.setAttribute('aria-label', 'Template shortcut');
+    setShortcutInput(shortcut, template.shortcut);
+    options.appendChild(shortcut);
+
+    const markupLabel = document.createElement('label');
+    markupLabel.appendChild(document.createTextNode('Mark'));
+    const markup = document.createElement('select');
+    markup.dataset.field = 'markup';
+    markup.setAttribute('aria-label', 'Mark in transcript');
+    Object.entries(BetterFrameCommentTemplates.MARKUP_TYPES).forEach(([value, label]) => {
+      markup.appendChild(new Option(label, value));
+    });
+    markup.value = template.markup;
+    markupLabel.appendChild(markup);
+    options.appendChild(markupLabel);
+
+    row.appendChild(header);
+    row.appendChild(text);
+    row.appendChild(options);
+    templatesContainer.appendChild(row);
+  }
+
+  /**
+   * Move a template card up (-1) or down (1); the order is the selection menu's order
+   */
+  function moveTemplateRow(row, direction) {
+    const sibling = direction < 0 ? row.previousElementSibling : row.nextElementSibling;
+    if (!sibling) return;
+    templatesContainer.insertBefore(row, direction < 0 ? sibling : sibling.nextElementSibling);
+    updateTemplateMoveButtons();
+  }
+
+  /**
+   * Disable the move buttons that would move a card past either end
+   */
+  function updateTemplateMoveButtons() {
+    const rows = Array.from(templatesContainer.children);
+    rows.forEach((row, index) => {
+      row.querySelector('[data-direction="-1"]').disabled = index === 0;
+      row.querySelector('[data-direction="1"]').disabled = index === rows.length - 1;
+    });
+  }
+
+  /**
+   * Read the template cards back into a list, in display order
+   */
+  function collectTemplates() {
+    return Array.from(templatesContainer.querySelectorAll('.template-row')).map((row) => ({
+      id: row.dataset.id,
+      name: row.querySelector('[data-field="name"]').value.trim() || 'Template',
+      text: row.querySelector('[data-field="text"]').value,
+      showInMenu: row.querySelector('[data-field="showInMenu"]').checked,
+      shortcut: row.querySelector('[data-field="shortcut"]').dataset.value || '',
+      markup: row.querySelector('[data-field="markup"]').value
+    }));
+  }
+
+  /**
+   * Download the templates in the editor as a JSON file
+   */
+  function exportTemplates() {
+    const json = BetterFrameCommentTemplates.exportTemplates(collectTemplates());
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'betterframe-comment-templates.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Add the templates from an exported JSON file to the editor
+   */
+  async function importTemplates() {
+    const file = importTemplatesFile.files[0];
+    importTemplatesFile.value = '';
+    if (!file) return;
+
+    try {
+      const templates = BetterFrameCommentTemplates.parseImport(await file.text());
+      renderTemplates([...collectTemplates(), ...templates]);
+      showMessage(successMessage, `✓ Imported ${templates.length} template${templates.length === 1 ? '' : 's'}. Save to apply.`);
     } catch (error) {
-      console.error('[BetterFrame Popup] Exception loading API key:', error);
+      log.error('Error importing templates:', error);
+      showMessage(errorMessage, `✗ ${error.message}`);
     }
   }
 
   /**
-   * Save API key to chrome storage
+   * List the template placeholders, with their meaning on hover
+   */
+  function renderPlaceholders() {
+    Object.entries(BetterFrameCommentTemplates.PLACEHOLDERS).forEach(([name, description], index) => {
+      if (index > 0) {
+        templatePlaceholders.appendChild(document.createTextNode(' '));
+      }
+      const placeholder = document.createElement('span');
+      placeholder.className = 'template-placeholder';
+      placeholder.textContent = `{${name}}`;
+      placeholder.title = description;
+      templatePlaceholders.appendChild(placeholder);
+    });
+  }
+
+  /**
+   * Store a shortcut on its input and show it in readable form
    */
-  function saveApiKey() {
-    const apiKey = apiKeyInput.value.trim();
+  function setShortcutInput(input, shortcut) {
+    input.dataset.value = shortcut || '';
+    input.value = BetterFrameSettings.formatShortcut(shortcut);
+  }
+
+  /**
+   * Record a new key combination while a shortcut field is focused
+   */
+  function handleShortcutKeydown(e) {
+    // Only shortcut fields record keys, and Tab still moves focus
+    if (!e.target.classList.contains('shortcut-input') || e.key === 'Tab') return;
+
+    e.preventDefault();
+
+    if (e.key === 'Backspace' || e.key === 'Delete') {
+      setShortcutInput(e.target, '');
+      return;
+    }
+
+    const shortcut = BetterFrameSettings.shortcutFromEvent(e);
+    if (shortcut) {
+      setShortcutInput(e.target, shortcut);
+    }
+  }
 
-    // Hide previous messages
+  /**
+   * Show a status message below the save button
+   */
+  function showMessage(element, text) {
     successMessage.style.display = 'none';
     errorMessage.style.display = 'none';
 
-    if (!apiKey) {
-      errorMessage.textContent = '✗ Please enter an API key';
-      errorMessage.style.display = 'block';
-      console.error('[BetterFrame Popup] Empty API key provided');
+    if (text) {
+      element.textContent = text;
+    }
+    element.style.display = 'block';
+
+    if (element === successMessage) {
+      // Hide success message after 3 seconds
+      setTimeout(() => {
+        successMessage.style.display = 'none';
+      }, 3000);
+    }
+  }
+
+  /**
+   * Load saved settings on popup open
+   */
+  async function loadSettings() {
+    try {
+      const settings = await BetterFrameSettings.load();
+      renderSettings(settings);
+      log.debug('Settings loaded successfully');
+    } catch (error) {
+      log.error('Error loading settings:', error);
+      renderSettings(BetterFrameSettings.getDefaults());
+    }
+  }
+
+  /**
+   * Ask for access to a custom endpoint's host, and resolve whether it is granted.
+   * api.openai.com, localhost and 127.0.0.1 are granted by the manifest; any other host is an optional permission.
+   */
+  async function requestEndpointPermission(endpoint) {
+    try {
+      const { protocol, hostname } = new URL(endpoint);
+      return await chrome.permissions.request({ origins: [`${protocol}//${hostname}/*`] });
+    } catch (error) {
+      log.error('Error requesting host permission:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Save the form to chrome storage
+   */
+  async function saveSettings() {
+    const settings = collectSettings();
+
+    if (settings.skipSteps.length === 0) {
+      showMessage(errorMessage, '✗ Add at least one skip step');
+      return;
+    }
+
+    const endpointKey = { openai: 'openaiEndpoint', whisper: 'whisperEndpoint' }[settings.transcriptionProvider];
+    if (endpointKey && !/^https?:\/\/\S+$/.test(settings[endpointKey])) {
+      showMessage(errorMessage, '✗ Enter a valid http(s) endpoint URL');
+      return;
+    }
+
+    // Two actions can't share a key combination
+    const bound = settings.skipSteps
+      .flatMap((step) => [step.backwardShortcut, step.forwardShortcut])
+      .concat(Object.values(settings.shortcuts))
+      .concat(settings.commentTemplates.map((template) => template.shortcut))
+      .filter(Boolean);
+    if (new Set(bound).size !== bound.length) {
+      showMessage(errorMessage, '✗ Each shortcut must be unique');
+      return;
+    }
+
+    // All templates are stored as one synced item, which chrome.storage.sync caps at 8 KB
+    const [oversized] = BetterFrameSettings.findOversized({ commentTemplates: settings.commentTemplates });
+    if (oversized) {
+      const limit = BetterFrameSettings.SYNC_ITEM_QUOTA_BYTES / 1024;
+      showMessage(errorMessage, `✗ Comment templates take ${(oversized.size / 1024).toFixed(1)} KB of the ${limit} KB that sync allows. Shorten or remove some.`);
       return;
     }
 
-    // Basic validation for OpenAI API key format
-    if (!apiKey.startsWith('sk-')) {
-      errorMessage.textContent = '✗ Invalid API key format';
-      errorMessage.style.display = 'block';
-      console.error('[BetterFrame Popup] Invalid API key format:', apiKey.substring(0, 5) + '...');
+    // Asked first, while the Save click still counts as a user gesture
+    if (endpointKey && !(await requestEndpointPermission(settings[endpointKey]))) {
+      showMessage(errorMessage, '✗ BetterFrame needs permission to reach the endpoint to transcribe with it');
       return;
     }
 
@@ -60,46 +444,347 @@
     saveButton.textContent = 'Saving...';
 
     try {
-      chrome.storage.sync.set({ openaiApiKey: apiKey }, () => {
+      const saved = await BetterFrameSettings.save(settings);
+      // Show the normalized values (e.g. clamped durations)
+      renderSettings({ ...settings, ...saved });
+      log.info('Settings saved successfully');
+      showMessage(successMessage);
+    } catch (error) {
+      log.error('Error saving settings:', error);
+      showMessage(errorMessage, '✗ Failed to save settings');
+    }
+
+    // Re-enable button
+    saveButton.disabled = false;
+    saveButton.textContent = 'Save Settings';
+  }
+
+  /**
+   * Restore every setting except the API key to its default
+   */
+  async function resetSettings() {
+    try {
+      await BetterFrameSettings.resetToDefaults();
+      await loadSettings();
+      showMessage(successMessage, '✓ Settings reset to defaults');
+    } catch (error) {
+      log.error('Error resetting settings:', error);
+      showMessage(errorMessage, '✗ Failed to reset settings');
+    }
+  }
+
+  /**
+   * Find open Frame.io tabs, active tab first.
+   * The cache lives in Frame.io's origin, so any of them can answer for it.
+   */
+  async function findFrameioTabs() {
+    const tabs = await chrome.tabs.query({ url: FRAMEIO_TAB_PATTERN });
+    return tabs.sort((a, b) => Number(b.active) - Number(a.active));
+  }
+
+  /**
+   * Send a message to a tab's content script and resolve with its response
+   */
+  function sendToTab(tabId, message) {
+    return new Promise((resolve, reject) => {
+      chrome.tabs.sendMessage(tabId, message, (response) => {
         if (chrome.runtime.lastError) {
-          console.error('[BetterFrame Popup] Error saving API key:', chrome.runtime.lastError);
-          errorMessage.textContent = '✗ Failed to save API key';
-          errorMessage.style.display = 'block';
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response || !response.ok) {
+          reject(new Error(response ? response.error : 'No response from Frame.io tab'));
         } else {
-          console.log('[BetterFrame Popup] API key saved successfully');
-          successMessage.style.display = 'block';
-
-          // Hide success message after 3 seconds
-          setTimeout(() => {
-            successMessage.style.display = 'none';
-          }, 3000);
+          resolve(response);
         }
-
-        // Re-enable button
-        saveButton.disabled = false;
-        saveButton.textContent = 'Save API Key';
       });
+    });
+  }
+
+  /**
+   * Send a cache request to the first Frame.io tab that answers
+   */
+  async function sendCacheMessage(message) {
+    const tabs = await findFrameioTabs();
+    if (tabs.length === 0) {
+      throw new Error('NO_FRAMEIO_TAB');
+    }
+
+    let lastError = null;
+    for (const tab of tabs) {
+      try {
+        return await sendToTab(tab.id, message);
+      } catch (error) {
+        // Tabs opened before the extension loaded have no content script
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Render one cached transcript with its actions
+   */
+  function createCacheEntry(entry) {
+    const row = document.createElement('div');
+    row.className = 'cache-entry';
+
+    const title = document.createElement('div');
+    title.className = 'cache-title';
+    title.textContent = entry.title;
+    title.title = entry.url ? `Open ${entry.url}` : entry.key;
+    title.addEventListener('click', () => {
+      if (entry.url) {
+        chrome.tabs.create({ url: entry.url });
+      }
+    });
+
+    const meta = document.createElement('div');
+    meta.className = 'cache-meta';
+    meta.textContent = `${BetterFrameFileSize.formatFileSize(entry.size)} · ${entry.segmentCount} segments · ${new Date(entry.updatedAt).toLocaleString()}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'cache-actions';
+
+    const retranscribe = document.createElement('button');
+    retranscribe.className = 'link-button';
+    retranscribe.textContent = 'Re-transcribe';
+    retranscribe.addEventListener('click', () => retranscribeEntry(entry));
+
+    const remove = document.createElement('button');
+    remove.className = 'link-button danger';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => removeCacheEntry(entry));
+
+    actions.appendChild(retranscribe);
+    actions.appendChild(remove);
+
+    row.appendChild(title);
+    row.appendChild(meta);
+    row.appendChild(actions);
+    return row;
+  }
+
+  /**
+   * Load and show the list of cached transcripts
+   */
+  async function loadCache() {
+    cacheList.innerHTML = '';
+    clearCacheButton.disabled = true;
+
+    try {
+      const { entries } = await sendCacheMessage({ type: 'cache:list' });
+
+      if (entries.length === 0) {
+        cacheSummary.textContent = 'No cached transcripts yet.';
+        return;
+      }
+
+      const totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+      cacheSummary.textContent = `${entries.length} transcript${entries.length === 1 ? '' : 's'} · ${BetterFrameFileSize.formatFileSize(totalSize)}`;
+      entries.forEach((entry) => cacheList.appendChild(createCacheEntry(entry)));
+      clearCacheButton.disabled = false;
     } catch (error) {
-      console.error('[BetterFrame Popup] Exception saving API key:', error);
-      errorMessage.textContent = '✗ Exception: ' + error.message;
-      errorMessage.style.display = 'block';
-      saveButton.disabled = false;
-      saveButton.textContent = 'Save API Key';
+      if (error.message === 'NO_FRAMEIO_TAB') {
+        cacheSummary.textContent = 'Open a Frame.io tab to browse cached transcripts.';
+      } else {
+        log.error('Error loading transcript cache:', error);
+        cacheSummary.textContent = 'Could not read the cache. Reload your Frame.io tab and try again.';
+      }
     }
   }
 
-  // Event listeners
-  saveButton.addEventListener('click', saveApiKey);
+  /**
+   * Delete one cached transcript
+   */
+  async function removeCacheEntry(entry) {
+    try {
+      await sendCacheMessage({ type: 'cache:remove', key: entry.key });
+    } catch (error) {
+      log.error('Error deleting cached transcript:', error);
+      showMessage(errorMessage, '✗ Failed to delete transcript');
+    }
+    loadCache();
+  }
 
-  // Allow saving with Enter key
-  apiKeyInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') {
-      saveApiKey();
+  /**
+   * Drop a cached transcript and transcribe its asset again.
+   * Uses the tab already showing the asset, or opens it in a new tab.
+   */
+  async function retranscribeEntry(entry) {
+    try {
+      await sendCacheMessage({ type: 'cache:remove', key: entry.key });
+
+      const tabs = await findFrameioTabs();
+      const assetTab = tabs.find((tab) => BetterFrameTranscriptCache.getAssetKey(tab.url) === entry.key);
+
+      if (assetTab) {
+        await sendToTab(assetTab.id, { type: 'transcript:retranscribe', key: entry.key });
+        chrome.tabs.update(assetTab.id, { active: true });
+        showMessage(successMessage, '✓ Transcribing again in the open tab');
+      } else if (entry.url) {
+        chrome.tabs.create({ url: entry.url });
+        showMessage(successMessage, '✓ Cache cleared. Click transcribe on the opened page.');
+      }
+    } catch (error) {
+      log.error('Error re-transcribing:', error);
+      showMessage(errorMessage, '✗ Failed to re-transcribe');
+    }
+    loadCache();
+  }
+
+  /**
+   * Delete every cached transcript
+   */
+  async function clearCache() {
+    try {
+      await sendCacheMessage({ type: 'cache:clear' });
+      showMessage(successMessage, '✓ Transcript cache cleared');
+    } catch (error) {
+      log.error('Error clearing transcript cache:', error);
+      showMessage(errorMessage, '✗ Failed to clear transcript cache');
+    }
+    loadCache();
+  }
+
+  /**
+   * Queue every asset on the active Frame.io page for transcription
+   */
+  async function transcribeAll() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true, url: FRAMEIO_TAB_PATTERN });
+      if (!tab) {
+        showMessage(errorMessage, '✗ Open a Frame.io review or project page first');
+        return;
+      }
+
+      const { queued, cached } = await sendToTab(tab.id, { type: 'batch:start' });
+      showMessage(successMessage, `✓ Queued ${queued} asset${queued === 1 ? '' : 's'}${cached ? ` (${cached} already transcribed)` : ''}`);
+    } catch (error) {
+      log.error('Error starting batch transcription:', error);
+      showMessage(errorMessage, `✗ ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the diagnostics of the Frame.io tab, active tab first, or why there are none
+   */
+  async function collectPageDiagnostics() {
+    const [tab] = await findFrameioTabs();
+    if (!tab) {
+      return { error: 'No Frame.io tab is open' };
+    }
+    try {
+      return (await sendToTab(tab.id, { type: 'diagnostics:collect' })).diagnostics;
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Get the background worker's diagnostics, or why there are none
+   */
+  async function collectWorkerDiagnostics() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'diagnostics:collect' });
+      return response && response.ok ? response.diagnostics : { error: response ? response.error : 'No response from the background worker' };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Copy a diagnostics report for bug reports: extension version, settings, the Frame.io tab's selectors,
+   * video metadata and recent events, the worker's jobs and the latest warnings and errors.
+   * Each part is redacted where it is collected; saved API keys are also blanked out of the final text.
+   */
+  async function copyDiagnostics() {
+    copyDiagnosticsButton.disabled = true;
+    try {
+      const manifest = chrome.runtime.getManifest();
+      const settings = await BetterFrameSettings.load().catch(() => null);
+      const [page, worker] = await Promise.all([collectPageDiagnostics(), collectWorkerDiagnostics()]);
+
+      const errors = [
+        ...(page.events || []).map((entry) => ({ context: 'page', ...entry })),
+        ...(worker.events || []).map((entry) => ({ context: 'background', ...entry })),
+        ...BetterFrameLogger.getEntries().map((entry) => ({ context: 'popup', ...entry }))
+      ]
+        .filter((entry) => entry.level === 'error' || entry.level === 'warn')
+        .sort((a, b) => a.time.localeCompare(b.time))
+        .slice(-DIAGNOSTICS_ERROR_LIMIT);
+
+      let text = JSON.stringify(BetterFrameLogger.redact({
+        extension: { name: manifest.name, version: manifest.version },
+        generatedAt: new Date().toISOString(),
+        browser: navigator.userAgent,
+        errors,
+        page,
+        background: worker,
+        settings
+      }), null, 2);
+
+      if (settings) {
+        Object.entries(BetterFrameSettings.SCHEMA)
+          .filter(([key, definition]) => definition.secret && settings[key])
+          .forEach(([key]) => {
+            text = text.split(settings[key]).join('[redacted]');
+          });
+      }
+
+      await navigator.clipboard.writeText(text);
+      showMessage(successMessage, '✓ Diagnostics copied. Paste them into your bug report.');
+    } catch (error) {
+      log.error('Error copying diagnostics:', error);
+      showMessage(errorMessage, '✗ Failed to copy diagnostics');
     }
+    copyDiagnosticsButton.disabled = false;
+  }
+
+  // Event listeners
+  saveButton.addEventListener('click', saveSettings);
+  transcribeAllButton.addEventListener('click', transcribeAll);
+  clearCacheButton.addEventListener('click', clearCache);
+  resetButton.addEventListener('click', resetSettings);
+  copyDiagnosticsButton.addEventListener('click', copyDiagnostics);
+
+  addTemplateButton.addEventListener('click', () => {
+    addTemplateRow({
+      id: BetterFrameCommentTemplates.createId(),
+      name: 'New template',
+      text: '{speaker}: {selection}',
+      showInMenu: true,
+      shortcut: '',
+      markup: 'none'
+    });
+    updateTemplateMoveButtons();
+  });
+
+  exportTemplatesButton.addEventListener('click', exportTemplates);
+  importTemplatesButton.addEventListener('click', () => importTemplatesFile.click());
+  importTemplatesFile.addEventListener('change', importTemplates);
+
+  addSkipStepButton.addEventListener('click', () => {
+    addSkipStepRow({ seconds: 15, backwardShortcut: '', forwardShortcut: '' });
+  });
+
+  // Shortcut fields are created dynamically, so listen on the document
+  document.addEventListener('keydown', handleShortcutKeydown);
+
+  providerSelect.addEventListener('change', showProviderFields);
+
+  // Allow saving with Enter key from the API key and endpoint fields
+  [apiKeyInput, ...settingInputs].forEach((input) => {
+    input.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        saveSettings();
+      }
+    });
   });
 
-  // Load API key when popup opens
-  loadApiKey();
+  // Load settings and the cache browser when popup opens
+  BetterFrameLogger.followSettings();
+  renderPlaceholders();
+  loadSettings();
+  loadCache();
 
-  console.log('[BetterFrame Popup] Popup script loaded');
+  log.debug('Popup script loaded');
 })();
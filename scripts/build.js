@@ -0,0 +1,85 @@
+// BetterFrame - Build
+// Bundles the content script modules in src/ and copies the rest of the extension into dist/,
+// which is the folder to load unpacked in Chrome.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as esbuild from 'esbuild';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DIST = path.join(ROOT, 'dist');
+
+// Loaded by the browser as they are: shared classic scripts, the background worker, offscreen document and popup
+const STATIC_FILES = [
+  'manifest.json',
+  'styles.css',
+  'logger.js',
+  'settings.js',
+  'transcript-cache.js',
+  'transcript-export.js',
+  'frameio-selectors.js',
+  'comment-composer.js',
+  'transcription-providers.js',
+  'audio-extract.js',
+  'background.js',
+  'offscreen.html',
+  'offscreen.js',
+  'popup.html',
+  'popup.js',
+  'icons'
+];
+
+/**
+ * Bundle the ES modules into classic scripts: the content script, the comment templates for the popup and the
+ * file size helper for the popup and offscreen document
+ */
+async function bundle() {
+  const common = {
+    bundle: true,
+    format: 'iife',
+    target: 'chrome110',
+    sourcemap: 'linked',
+    logLevel: 'warning'
+  };
+
+  await esbuild.build({
+    ...common,
+    entryPoints: [path.join(ROOT, 'src', 'content', 'index.js')],
+    outfile: path.join(DIST, 'content.js')
+  });
+
+  await esbuild.build({
+    ...common,
+    entryPoints: [path.join(ROOT, 'src', 'shared', 'comment-templates.js')],
+    outfile: path.join(DIST, 'comment-templates.js'),
+    globalName: 'BetterFrameCommentTemplates'
+  });
+
+  await esbuild.build({
+    ...common,
+    entryPoints: [path.join(ROOT, 'src', 'shared', 'file-size.js')],
+    outfile: path.join(DIST, 'file-size.js'),
+    globalName: 'BetterFrameFileSize'
+  });
+}
+
+/**
+ * Build the extension into dist/
+ */
+async function build() {
+  fs.rmSync(DIST, { recursive: true, force: true });
+  fs.mkdirSync(DIST, { recursive: true });
+
+  STATIC_FILES.forEach((file) => {
+    fs.cpSync(path.join(ROOT, file), path.join(DIST, file), { recursive: true });
+  });
+  await bundle();
+
+  console.log(`[BetterFrame Build] Extension built in ${path.relative(process.cwd(), DIST) || '.'}`);
+}
+
+build().catch((error) => {
+  console.error('[BetterFrame Build] Build failed:', error.message);
+  process.exitCode = 1;
+});
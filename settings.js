@@ -0,0 +1,526 @@
+// BetterFrame - Settings
+// Typed settings schema shared by the popup and the content script
+
+(function(global) {
+  'use strict';
+
+  const log = BetterFrameLogger.create('Settings');
+
+  /**
+   * Every user-configurable setting, its type and its default value.
+   * Values are stored flat in chrome.storage.sync under these keys, except
+   * entries marked `area: 'local'`, which stay on this browser only.
+   * Entries marked `secret` survive "Reset to Defaults".
+   * Lists marked `allowEmpty` may be emptied; `migrate` converts values stored in an older shape.
+   */
+  const SCHEMA = {
+    transcriptionProvider: {
+      type: 'enum',
+      values: ['assemblyai', 'openai', 'whisper'],
+      default: 'assemblyai'
+    },
+    assemblyaiApiKey: {
+      type: 'string',
+      secret: true,
+      default: ''
+    },
+    openaiApiKey: {
+      type: 'string',
+      secret: true,
+      default: ''
+    },
+    openaiEndpoint: {
+      type: 'string',
+      default: 'https://api.openai.com/v1'
+    },
+    openaiModel: {
+      type: 'string',
+      default: 'whisper-1'
+    },
+    whisperEndpoint: {
+      type: 'string',
+      default: 'http://localhost:8000/v1'
+    },
+    whisperModel: {
+      type: 'string',
+      default: ''
+    },
+    skipSteps: {
+      type: 'list',
+      maxItems: 8,
+      sortBy: 'seconds',
+      uniqueBy: 'seconds',
+      item: {
+        seconds: { type: 'number', default: 5, min: 0.1, max: 600 },
+        backwardShortcut: { type: 'string', default: '' },
+        forwardShortcut: { type: 'string', default: '' }
+      },
+      default: [
+        { seconds: 1, backwardShortcut: 'Alt+ArrowLeft', forwardShortcut: 'Alt+ArrowRight' },
+        { seconds: 5, backwardShortcut: 'Shift+ArrowLeft', forwardShortcut: 'Shift+ArrowRight' },
+        { seconds: 10, backwardShortcut: '', forwardShortcut: '' },
+        { seconds: 30, backwardShortcut: 'Ctrl+Shift+ArrowLeft', forwardShortcut: 'Ctrl+Shift+ArrowRight' }
+      ]
+    },
+    activeSkipSeconds: {
+      type: 'number',
+      default: 5,
+      min: 0.1,
+      max: 600
+    },
+    frameRate: {
+      type: 'enum',
+      values: ['auto', '23.976', '24', '25', '29.97', '30', '60'],
+      default: 'auto'
+    },
+    shortcuts: {
+      type: 'object',
+      default: {
+        frameBackward: ',',
+        frameForward: '.',
+        shuttleReverse: 'J',
+        shuttlePause: 'K',
+        shuttleForward: 'L',
+        setLoopIn: 'I',
+        setLoopOut: 'O',
+        clearLoop: 'Alt+X'
+      }
+    },
+    playbackRate: {
+      type: 'number',
+      area: 'local',
+      default: 1,
+      min: 0.25,
+      max: 4
+    },
+    preservesPitch: {
+      type: 'boolean',
+      area: 'local',
+      default: true
+    },
+    sidebarPosition: {
+      type: 'enum',
+      values: ['left', 'right'],
+      default: 'left'
+    },
+    submitComments: {
+      type: 'boolean',
+      default: false
+    },
+    logLevel: {
+      type: 'enum',
+      values: ['error', 'warn', 'info', 'debug'],
+      area: 'local',
+      default: 'info'
+    },
+    commentTemplates: {
+      type: 'list',
+      maxItems: 20,
+      uniqueBy: 'id',
+      allowEmpty: true,
+      migrate: migrateCommentTemplates,
+      item: {
+        id: { type: 'string', default: '' },
+        name: { type: 'string', default: 'Template' },
+        text: { type: 'string', default: '{selection}' },
+        showInMenu: { type: 'boolean', default: true },
+        shortcut: { type: 'string', default: '' },
+        markup: { type: 'enum', values: ['none', 'delete', 'pause', 'unclear', 'note'], default: 'none' }
+      },
+      default: [
+        {
+          id: 'delete',
+          name: 'Delete',
+          text: 'Please cut the part inside []:\n\n{range} - {speaker}: {segment}',
+          showInMenu: true,
+          shortcut: '',
+          markup: 'delete'
+        },
+        {
+          id: 'longPause',
+          name: 'Long pause',
+          text: 'Long pause in []:\n\n{speaker}: {context}',
+          showInMenu: true,
+          shortcut: '',
+          markup: 'pause'
+        },
+        {
+          id: 'unclear',
+          name: 'Unclear',
+          text: 'The following part is unclear to me. Could you please take a look?\n\n{speaker}: {selection}',
+          showInMenu: true,
+          shortcut: '',
+          markup: 'unclear'
+        },
+        {
+          id: 'comment',
+          name: 'Add to comments',
+          text: '{speaker}: {selection}',
+          showInMenu: true,
+          shortcut: '',
+          markup: 'none'
+        }
+      ]
+    }
+  };
+
+  /**
+   * Upgrade comment templates saved by older versions:
+   * the { delete, longPause, unclear } intro lines become the default templates with those intros,
+   * and built-in templates saved before `markup` existed get their default markup.
+   */
+  function migrateCommentTemplates(value) {
+    if (Array.isArray(value)) {
+      return value.map((template) => {
+        const builtIn = template && template.markup === undefined &&
+          SCHEMA.commentTemplates.default.find((item) => item.id === template.id);
+        return builtIn ? { ...template, markup: builtIn.markup } : template;
+      });
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    return SCHEMA.commentTemplates.default.map((template) => {
+      const intro = value[template.id];
+      if (typeof intro !== 'string') {
+        return template;
+      }
+      return { ...template, text: template.text.replace(/^[^\n]*/, () => intro) };
+    });
+  }
+
+  // chrome.storage.sync rejects a single item larger than this
+  const SYNC_ITEM_QUOTA_BYTES = 8192;
+
+  const KEY_LABELS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Space: 'Space'
+  };
+
+  /**
+   * Deep-copy a JSON-compatible default so callers can't mutate the schema
+   */
+  function cloneValue(value) {
+    return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  /**
+   * Coerce a stored value to its schema type, falling back to the default
+   */
+  function normalizeValue(definition, value) {
+    if (value === undefined || value === null) {
+      return cloneValue(definition.default);
+    }
+    if (definition.migrate) {
+      value = definition.migrate(value);
+    }
+
+    switch (definition.type) {
+      case 'string':
+        return typeof value === 'string' ? value : cloneValue(definition.default);
+
+      case 'number': {
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+          return definition.default;
+        }
+        return Math.max(definition.min ?? -Infinity, Math.min(definition.max ?? Infinity, number));
+      }
+
+      case 'boolean':
+        return typeof value === 'boolean' ? value : definition.default;
+
+      case 'enum':
+        return definition.values.includes(value) ? value : definition.default;
+
+      case 'object': {
+        // Only keep known keys whose type matches the default's
+        const result = cloneValue(definition.default);
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          return result;
+        }
+        for (const key of Object.keys(result)) {
+          if (typeof value[key] === typeof result[key]) {
+            result[key] = value[key];
+          }
+        }
+        return result;
+      }
+
+      case 'list': {
+        // Normalize each item field by field, then sort and de-duplicate
+        if (!Array.isArray(value)) {
+          return cloneValue(definition.default);
+        }
+
+        let items = value
+          .filter((item) => item && typeof item === 'object')
+          .map((item) => {
+            const normalized = {};
+            for (const [field, fieldDefinition] of Object.entries(definition.item)) {
+              normalized[field] = normalizeValue(fieldDefinition, item[field]);
+            }
+            return normalized;
+          });
+
+        if (definition.sortBy) {
+          items.sort((a, b) => a[definition.sortBy] - b[definition.sortBy]);
+        }
+        if (definition.uniqueBy) {
+          const seen = new Set();
+          items = items.filter((item) => {
+            const key = item[definition.uniqueBy];
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          });
+        }
+        if (definition.maxItems) {
+          items = items.slice(0, definition.maxItems);
+        }
+
+        return items.length > 0 || definition.allowEmpty ? items : cloneValue(definition.default);
+      }
+
+      default:
+        return cloneValue(definition.default);
+    }
+  }
+
+  /**
+   * Build a complete, valid settings object from whatever is in storage
+   */
+  function normalize(raw) {
+    const settings = {};
+    for (const [key, definition] of Object.entries(SCHEMA)) {
+      settings[key] = normalizeValue(definition, raw ? raw[key] : undefined);
+    }
+    return settings;
+  }
+
+  /**
+   * Get the chrome.storage area a setting lives in
+   */
+  function areaOf(key) {
+    return SCHEMA[key].area || 'sync';
+  }
+
+  /**
+   * Get the keys stored in one storage area
+   */
+  function keysInArea(areaName) {
+    return Object.keys(SCHEMA).filter((key) => areaOf(key) === areaName);
+  }
+
+  /**
+   * Find synced settings too large for one chrome.storage.sync item, with their size in bytes
+   * (key plus JSON value, as Chrome counts it).
+   * Comment templates are the one setting users can grow that far.
+   */
+  function findOversized(partial) {
+    return Object.keys(partial)
+      .filter((key) => SCHEMA[key] && areaOf(key) === 'sync')
+      .map((key) => ({
+        key: key,
+        size: new TextEncoder().encode(key + JSON.stringify(normalizeValue(SCHEMA[key], partial[key]))).length
+      }))
+      .filter((item) => item.size > SYNC_ITEM_QUOTA_BYTES);
+  }
+
+  /**
+   * Load all settings from chrome storage
+   */
+  function load() {
+    const read = (areaName) => new Promise((resolve, reject) => {
+      chrome.storage[areaName].get(keysInArea(areaName), (result) => {
+        if (chrome.runtime.lastError) {
+          log.error(`Error loading ${areaName} settings:`, chrome.runtime.lastError);
+          reject(chrome.runtime.lastError);
+          return;
+        }
+        resolve(result);
+      });
+    });
+
+    return Promise.all([read('sync'), read('local')]).then(([synced, local]) => normalize({ ...synced, ...local }));
+  }
+
+  /**
+   * Save a partial settings object to chrome storage.
+   * Unknown keys are dropped and values are normalized before writing.
+   */
+  function save(partial) {
+    const values = { sync: {}, local: {} };
+    for (const [key, value] of Object.entries(partial)) {
+      if (SCHEMA[key]) {
+        values[areaOf(key)][key] = normalizeValue(SCHEMA[key], value);
+      }
+    }
+
+    const write = (areaName) => new Promise((resolve, reject) => {
+      if (Object.keys(values[areaName]).length === 0) {
+        resolve();
+        return;
+      }
+      chrome.storage[areaName].set(values[areaName], () => {
+        if (chrome.runtime.lastError) {
+          log.error(`Error saving ${areaName} settings:`, chrome.runtime.lastError);
+          reject(chrome.runtime.lastError);
+          return;
+        }
+        resolve();
+      });
+    });
+
+    return Promise.all([write('sync'), write('local')]).then(() => ({ ...values.sync, ...values.local }));
+  }
+
+  /**
+   * Reset every setting except secrets (API keys) to its default
+   */
+  function resetToDefaults() {
+    const defaults = getDefaults();
+    for (const [key, definition] of Object.entries(SCHEMA)) {
+      if (definition.secret) {
+        delete defaults[key];
+      }
+    }
+    return save(defaults);
+  }
+
+  /**
+   * Call back with the changed keys (normalized) whenever settings change in any context
+   */
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const changed = {};
+      for (const [key, change] of Object.entries(changes)) {
+        if (SCHEMA[key] && areaOf(key) === areaName) {
+          changed[key] = normalizeValue(SCHEMA[key], change.newValue);
+        }
+      }
+
+      if (Object.keys(changed).length > 0) {
+        callback(changed);
+      }
+    });
+  }
+
+  /**
+   * Get a fresh copy of all default values
+   */
+  function getDefaults() {
+    return normalize({});
+  }
+
+  /**
+   * Split a shortcut string such as "Ctrl+Shift+ArrowRight" into its parts
+   */
+  function parseShortcut(shortcut) {
+    if (!shortcut) return null;
+
+    const parts = shortcut.split('+');
+    // A trailing "+" means the key itself is "+"
+    let key = parts.pop();
+    if (key === '' && parts.length > 0) {
+      parts.pop();
+      key = '+';
+    }
+
+    return {
+      ctrl: parts.includes('Ctrl'),
+      alt: parts.includes('Alt'),
+      shift: parts.includes('Shift'),
+      meta: parts.includes('Meta'),
+      key: key
+    };
+  }
+
+  /**
+   * Get a layout-stable key name for a keyboard event.
+   * Letters and digits come from event.code so Alt/Shift don't change them.
+   */
+  function keyFromEvent(event) {
+    if (/^Key[A-Z]$/.test(event.code)) return event.code.slice(3);
+    if (/^Digit[0-9]$/.test(event.code)) return event.code.slice(5);
+    if (event.key === ' ') return 'Space';
+    return event.key.length === 1 ? event.key.toUpperCase() : event.key;
+  }
+
+  /**
+   * Build a shortcut string from a keyboard event, or null for a bare modifier press
+   */
+  function shortcutFromEvent(event) {
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) {
+      return null;
+    }
+
+    const parts = [];
+    if (event.ctrlKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey) parts.push('Shift');
+    if (event.metaKey) parts.push('Meta');
+    parts.push(keyFromEvent(event));
+    return parts.join('+');
+  }
+
+  /**
+   * Check whether a keyboard event is for a shortcut's key, ignoring modifiers (used for keyup)
+   */
+  function matchesShortcutKey(event, shortcut) {
+    const parsed = parseShortcut(shortcut);
+    return Boolean(parsed) && parsed.key.toUpperCase() === keyFromEvent(event).toUpperCase();
+  }
+
+  /**
+   * Check whether a keyboard event matches a shortcut string exactly
+   */
+  function matchesShortcut(event, shortcut) {
+    const parsed = parseShortcut(shortcut);
+    if (!parsed) return false;
+
+    return (
+      parsed.ctrl === event.ctrlKey &&
+      parsed.alt === event.altKey &&
+      parsed.shift === event.shiftKey &&
+      parsed.meta === event.metaKey &&
+      parsed.key.toUpperCase() === keyFromEvent(event).toUpperCase()
+    );
+  }
+
+  /**
+   * Format a shortcut string for display, e.g. "Shift + ←"
+   */
+  function formatShortcut(shortcut) {
+    const parsed = parseShortcut(shortcut);
+    if (!parsed) return 'Not set';
+
+    const parts = [];
+    if (parsed.ctrl) parts.push('Ctrl');
+    if (parsed.alt) parts.push('Alt');
+    if (parsed.shift) parts.push('Shift');
+    if (parsed.meta) parts.push('⌘');
+    parts.push(KEY_LABELS[parsed.key] || parsed.key);
+    return parts.join(' + ');
+  }
+
+  global.BetterFrameSettings = {
+    SCHEMA,
+    normalize,
+    load,
+    save,
+    resetToDefaults,
+    onChange,
+    getDefaults,
+    findOversized,
+    SYNC_ITEM_QUOTA_BYTES,
+    parseShortcut,
+    shortcutFromEvent,
+    matchesShortcut,
+    matchesShortcutKey,
+    formatShortcut
+  };
+})(globalThis);
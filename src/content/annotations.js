@@ -0,0 +1,210 @@
+// BetterFrame - Annotations
+// Transcript markup layer: strikeouts, pauses, unclear highlights and notes
+
+import { formatTimestamp } from './format.js';
+import { jumpToSegment } from './sidebar.js';
+import { state } from './state.js';
+
+const log = BetterFrameLogger.create('Cache');
+const markupLog = BetterFrameLogger.create('Markup');
+
+// Kinds of transcript annotation; a template's `markup` picks one (see settings.js)
+const ANNOTATION_TYPES = {
+  delete: { label: 'Delete', icon: '✂' },
+  pause: { label: 'Pause', icon: '⏸' },
+  unclear: { label: 'Unclear', icon: '?' },
+  note: { label: 'Note', icon: '✎' }
+};
+
+/**
+ * Save the open transcript's annotations with its cache entry
+ */
+async function saveAnnotations() {
+  const assetKey = BetterFrameTranscriptCache.getAssetKey(location.href);
+  if (!assetKey || !state.currentTranscript) return;
+  try {
+    await BetterFrameTranscriptCache.update(assetKey, { annotations: state.currentTranscript.annotations });
+  } catch (error) {
+    log.warn('Could not save annotations:', error);
+  }
+}
+
+/**
+ * Record a strikeout, pause marker, unclear highlight or note for a selection
+ */
+export function addAnnotation(type, selection, note = '') {
+  if (!state.currentTranscript || !ANNOTATION_TYPES[type]) return;
+
+  const annotation = {
+    id: `annotation-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    type: type,
+    startWord: selection.offset + selection.startIndex,
+    endWord: selection.offset + selection.endIndex,
+    start: selection.start,
+    end: selection.end,
+    text: selection.text,
+    note: note,
+    createdAt: Date.now()
+  };
+
+  state.currentTranscript.annotations = [...(state.currentTranscript.annotations || []), annotation];
+  markupLog.info(`Added ${type} annotation at ${formatTimestamp(annotation.start)}`);
+  renderAnnotations();
+  saveAnnotations();
+}
+
+/**
+ * Delete an annotation
+ */
+function removeAnnotation(id) {
+  if (!state.currentTranscript) return;
+  state.currentTranscript.annotations = (state.currentTranscript.annotations || []).filter((annotation) => annotation.id !== id);
+  renderAnnotations();
+  saveAnnotations();
+}
+
+/**
+ * Seek to an annotation and mark the segment it starts in
+ */
+function goToAnnotation(annotation) {
+  const wordEl = state.transcriptWordElements[Math.min(annotation.startWord, state.transcriptWordElements.length - 1)];
+  const segmentEl = wordEl && wordEl.closest('.betterframe-transcript-segment');
+  if (segmentEl) {
+    segmentEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    jumpToSegment(segmentEl, annotation.start);
+  }
+}
+
+/**
+ * Create the clickable inline marker for a pause or note
+ */
+function createAnnotationMarker(annotation) {
+  const marker = document.createElement('span');
+  marker.className = `betterframe-markup-marker betterframe-markup-marker-${annotation.type}`;
+  marker.dataset.annotationId = annotation.id;
+  marker.textContent = ANNOTATION_TYPES[annotation.type].icon;
+  marker.title = annotation.note || `${ANNOTATION_TYPES[annotation.type].label} at ${formatTimestamp(annotation.start)}`;
+  return marker;
+}
+
+/**
+ * Draw every annotation inline in the transcript and refresh the summary panel.
+ * Word ranges get a class per type; pauses and notes also get a marker.
+ */
+export function renderAnnotations() {
+  document.querySelectorAll('.betterframe-transcript-content .betterframe-markup-marker').forEach((marker) => marker.remove());
+  const markupClasses = Object.keys(ANNOTATION_TYPES).map((type) => `betterframe-markup-${type}`);
+  state.transcriptWordElements.forEach((wordEl) => wordEl.classList.remove(...markupClasses));
+
+  const annotations = (state.currentTranscript && state.currentTranscript.annotations) || [];
+  annotations.forEach((annotation) => {
+    const words = state.transcriptWordElements.slice(annotation.startWord, annotation.endWord);
+    words.forEach((wordEl) => wordEl.classList.add(`betterframe-markup-${annotation.type}`));
+
+    if (annotation.type === 'note') {
+      const lastWord = words[words.length - 1] || state.transcriptWordElements[annotation.startWord - 1];
+      if (lastWord) lastWord.after(createAnnotationMarker(annotation));
+    } else if (annotation.type === 'pause' && words.length === 0) {
+      // A pause in the gap between two words sits before the following word
+      const nextWord = state.transcriptWordElements[annotation.startWord];
+      const previousWord = state.transcriptWordElements[annotation.startWord - 1];
+      if (nextWord) {
+        nextWord.before(createAnnotationMarker(annotation));
+      } else if (previousWord) {
+        previousWord.after(createAnnotationMarker(annotation));
+      }
+    }
+  });
+
+  renderAnnotationsPanel();
+}
+
+/**
+ * Fill the annotation summary panel and the count on its header button
+ */
+function renderAnnotationsPanel() {
+  const annotations = [...((state.currentTranscript && state.currentTranscript.annotations) || [])].sort((a, b) => a.start - b.start);
+
+  const button = document.getElementById('betterframe-annotations-btn');
+  if (button) {
+    button.textContent = annotations.length > 0 ? `Notes (${annotations.length})` : 'Notes';
+  }
+
+  const panel = document.getElementById('betterframe-annotations-panel');
+  if (!panel) return;
+  panel.innerHTML = '';
+
+  if (annotations.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'betterframe-annotations-empty';
+    empty.textContent = 'No notes yet. Select transcript text and pick an action to mark it.';
+    panel.appendChild(empty);
+    return;
+  }
+
+  annotations.forEach((annotation) => {
+    const type = ANNOTATION_TYPES[annotation.type];
+    const item = document.createElement('div');
+    item.className = `betterframe-annotation-item betterframe-annotation-${annotation.type}`;
+    item.title = 'Jump to this note';
+    item.onclick = () => goToAnnotation(annotation);
+
+    const label = document.createElement('span');
+    label.className = 'betterframe-annotation-label';
+    label.textContent = `${type.icon} ${type.label} · ${formatTimestamp(annotation.start)}`;
+
+    const text = document.createElement('span');
+    text.className = 'betterframe-annotation-text';
+    text.textContent = annotation.note || (annotation.text.trim() ? `"${annotation.text.trim()}"` : '');
+
+    const remove = document.createElement('button');
+    remove.className = 'betterframe-annotation-remove';
+    remove.textContent = '×';
+    remove.title = 'Delete note';
+    remove.onclick = (e) => {
+      e.stopPropagation();
+      removeAnnotation(annotation.id);
+    };
+
+    item.appendChild(label);
+    item.appendChild(remove);
+    item.appendChild(text);
+    panel.appendChild(item);
+  });
+}
+
+/**
+ * Show or hide the annotation summary panel under the sidebar header
+ */
+export function toggleAnnotationsPanel() {
+  const existing = document.getElementById('betterframe-annotations-panel');
+  const button = document.getElementById('betterframe-annotations-btn');
+  if (existing) {
+    existing.remove();
+    if (button) button.classList.remove('betterframe-transcript-header-button-active');
+    return;
+  }
+
+  const header = document.querySelector('#betterframe-transcript-sidebar .betterframe-transcript-header');
+  if (!header) return;
+
+  const panel = document.createElement('div');
+  panel.id = 'betterframe-annotations-panel';
+  panel.className = 'betterframe-annotations-panel';
+  header.after(panel);
+  if (button) button.classList.add('betterframe-transcript-header-button-active');
+  renderAnnotationsPanel();
+}
+
+/**
+ * Jump to an annotation when its inline marker is clicked
+ */
+export function handleAnnotationMarkerClick(event) {
+  const marker = event.target.closest('.betterframe-markup-marker');
+  if (!marker || !state.currentTranscript) return;
+
+  const annotation = (state.currentTranscript.annotations || []).find((item) => item.id === marker.dataset.annotationId);
+  if (annotation) {
+    goToAnnotation(annotation);
+  }
+}
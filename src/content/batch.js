@@ -0,0 +1,174 @@
+// BetterFrame - Batch
+// Batch transcription of every video in a review link
+
+import { loadCachedTranscript } from './storage.js';
+import { describeProgress, handleJobComplete, isJobActive, sendJobMessage } from './transcription-client.js';
+
+const log = BetterFrameLogger.create('Batch');
+
+// Assets listed by "Transcribe all" (assetKey -> { title, url, cached, job }), while the batch panel is open
+export let batchAssets = null;
+let batchTimer = null;
+
+/**
+ * List the assets linked from the current review or project view, in page order
+ */
+function findPageAssets() {
+  const cache = BetterFrameTranscriptCache;
+  const assets = new Map();
+
+  document.querySelectorAll('a[href]').forEach((link) => {
+    const assetKey = cache.getAssetKey(link.href);
+    if (!assetKey || !assetKey.startsWith('asset:') || assets.has(assetKey)) return;
+
+    const image = link.querySelector('img[alt]');
+    const title = link.getAttribute('aria-label') || link.title || (image && image.alt) || link.textContent.trim();
+    assets.set(assetKey, {
+      assetKey: assetKey,
+      title: title || `Asset ${assets.size + 1}`,
+      url: link.href
+    });
+  });
+
+  return Array.from(assets.values());
+}
+
+/**
+ * Queue every asset on the page that has no cached transcript yet, and show the batch panel
+ */
+export async function startBatchTranscription() {
+  const assets = findPageAssets();
+  if (assets.length === 0) {
+    throw new Error('No assets found on this page');
+  }
+  log.info(`Found ${assets.length} assets on this page`);
+
+  batchAssets = new Map();
+  const pending = [];
+  for (const asset of assets) {
+    const cached = await loadCachedTranscript(asset.assetKey);
+    batchAssets.set(asset.assetKey, { ...asset, cached: Boolean(cached), job: null });
+    if (!cached) {
+      pending.push(asset);
+    }
+  }
+
+  if (pending.length > 0) {
+    const { jobs } = await sendJobMessage({ type: 'batch:start', assets: pending });
+    jobs.forEach(({ job, result }) => {
+      if (job.status === 'completed') {
+        handleJobComplete(job, result);
+      } else {
+        updateBatchRow(job);
+      }
+    });
+  }
+
+  renderBatchPanel();
+  if (!batchTimer) {
+    batchTimer = setInterval(renderBatchPanel, 1000);
+  }
+  return { queued: pending.length, cached: assets.length - pending.length };
+}
+
+/**
+ * Describe one batch asset's status for its row in the batch panel
+ */
+function describeBatchAsset(asset) {
+  if (asset.cached) return '✓ Transcribed';
+  if (!asset.job) return 'Not queued';
+  if (asset.job.status === 'cancelled') return 'Cancelled';
+  return describeProgress(asset.job);
+}
+
+/**
+ * Create or update the batch panel listing every asset with its transcription status
+ */
+function renderBatchPanel() {
+  if (!batchAssets) return;
+
+  let panel = document.getElementById('betterframe-batch');
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.id = 'betterframe-batch';
+    panel.className = 'betterframe-batch';
+    panel.innerHTML = `
+      <div class="betterframe-batch-header">
+        <span class="betterframe-batch-title"></span>
+        <button class="betterframe-batch-close" aria-label="Close" title="Close">×</button>
+      </div>
+      <div class="betterframe-batch-list"></div>
+      <div class="betterframe-progress-actions">
+        <button class="betterframe-progress-button betterframe-batch-cancel">Cancel remaining</button>
+      </div>
+    `;
+    panel.querySelector('.betterframe-batch-close').onclick = closeBatchPanel;
+    panel.querySelector('.betterframe-batch-cancel').onclick = cancelBatch;
+    document.body.appendChild(panel);
+  }
+
+  const assets = Array.from(batchAssets.values());
+  const done = assets.filter((asset) => asset.cached).length;
+  const active = assets.filter((asset) => asset.job && isJobActive(asset.job)).length;
+  panel.querySelector('.betterframe-batch-title').textContent = `Transcribe all · ${done} of ${assets.length} done`;
+  panel.querySelector('.betterframe-batch-cancel').style.display = active > 0 ? '' : 'none';
+
+  const list = panel.querySelector('.betterframe-batch-list');
+  list.innerHTML = '';
+  assets.forEach((asset) => {
+    const row = document.createElement('div');
+    row.className = 'betterframe-batch-row';
+    row.classList.toggle('betterframe-batch-row-done', asset.cached);
+    row.classList.toggle('betterframe-batch-row-failed', Boolean(asset.job) && asset.job.status === 'failed');
+
+    const title = document.createElement('a');
+    title.className = 'betterframe-batch-asset';
+    title.href = asset.url;
+    title.textContent = asset.title;
+    title.title = asset.title;
+
+    const status = document.createElement('span');
+    status.className = 'betterframe-batch-status';
+    status.textContent = describeBatchAsset(asset);
+
+    row.appendChild(title);
+    row.appendChild(status);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Record a job update for a batch asset
+ */
+export function updateBatchRow(job) {
+  const asset = batchAssets && batchAssets.get(job.assetKey);
+  if (!asset) return;
+  asset.job = job;
+  renderBatchPanel();
+}
+
+/**
+ * Cancel every batch job that is still queued or running
+ */
+function cancelBatch() {
+  batchAssets.forEach((asset) => {
+    if (asset.job && isJobActive(asset.job)) {
+      sendJobMessage({ type: 'job:cancel', jobId: asset.job.id }).catch((error) => {
+        log.warn('Could not cancel job:', error);
+      });
+    }
+  });
+}
+
+/**
+ * Hide the batch panel; queued jobs keep running in the background
+ */
+function closeBatchPanel() {
+  clearInterval(batchTimer);
+  batchTimer = null;
+  batchAssets = null;
+  const panel = document.getElementById('betterframe-batch');
+  if (panel) {
+    panel.remove();
+  }
+}
@@ -0,0 +1,147 @@
+// BetterFrame - Comment Bridge
+// Hands comments built from the transcript to Frame.io's comment box, or the clipboard
+
+import { formatTimecode, formatTimestamp } from './format.js';
+import { findVideoElement, getFrameRate } from './player.js';
+import { state } from './state.js';
+import { showToast } from './toast.js';
+
+const log = BetterFrameLogger.create('Selection');
+const seekLog = BetterFrameLogger.create('Seek');
+const timestampLog = BetterFrameLogger.create('Timestamp');
+
+/**
+ * Write a comment into Frame.io's comment box at the selection's time, posting it if the user enabled that.
+ * Falls back to the clipboard when the comment box can't be written to.
+ */
+export async function insertSelectionComment(comment, selection, description) {
+  await seekToSelection(selection);
+
+  // Anything longer than a frame becomes a range comment from the first word's start to the last word's end
+  const fps = getFrameRate();
+  const wantsRange = selection.end - selection.start >= 1 / fps;
+
+  try {
+    const { ranged } = await BetterFrameCommentComposer.insertComment(comment, {
+      submit: state.settings.submitComments,
+      range: wantsRange ? {
+        out: selection.end,
+        seek: seekVideo,
+        formatTime: (time) => formatTimecode(time, fps)
+      } : null
+    });
+    log.info(`✓ ${description} inserted into comment box${ranged ? ' as a range comment' : ''}`);
+
+    const action = state.settings.submitComments ? 'posted' : 'added';
+    if (ranged) {
+      showToast(`✓ ${description} ${action} for ${formatTimestamp(selection.start)}–${formatTimestamp(selection.end)}`);
+    } else if (wantsRange) {
+      showToast(`✓ ${description} ${action} at ${formatTimestamp(selection.start)} (couldn't set Frame.io's range, so only the in point is set)`);
+    } else {
+      showToast(`✓ ${description} ${action} at ${formatTimestamp(selection.start)}`);
+    }
+  } catch (error) {
+    log.warn('⚠ Could not insert comment:', error.message);
+    copyToClipboard(comment, description, `${error.message} Copied instead, paste it into the comment box.`);
+    focusCommentBox();
+  }
+}
+
+/**
+ * Copy text to clipboard with notification
+ */
+export function copyToClipboard(text, description, hint) {
+  navigator.clipboard.writeText(text).then(() => {
+    log.info(`✓ ${description} copied to clipboard`);
+    log.debug(`Text length: ${text.length} characters`);
+    log.debug(`Preview: ${text.substring(0, 100)}...`);
+    if (hint) {
+      showToast(`⚠ ${hint}`, true);
+    } else {
+      showToast(`✓ ${description} copied!`);
+    }
+  }).catch(err => {
+    log.error('✗ Failed to copy text:', err);
+    showToast('✗ Failed to copy to clipboard', true);
+  });
+}
+
+/**
+ * Focus the comment box to prepare for pasting
+ */
+function focusCommentBox() {
+  const commentBox = BetterFrameCommentComposer.findEditor();
+  if (commentBox) {
+    log.debug('✓ Found comment box, focusing...');
+    commentBox.focus();
+    commentBox.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return;
+  }
+
+  log.warn('⚠ Could not find comment box to focus');
+}
+
+/**
+ * Pause the video and seek it to a time, resolving once the seek has finished
+ */
+function seekVideo(time) {
+  const video = findVideoElement();
+  if (!video) {
+    seekLog.error('✗ Video element not found');
+    return Promise.resolve();
+  }
+
+  video.pause();
+
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      video.removeEventListener('seeked', done);
+      resolve();
+    };
+    // Some players never fire seeked for a seek to the current time
+    const timer = setTimeout(done, 500);
+    video.addEventListener('seeked', done);
+    video.currentTime = time;
+  });
+}
+
+/**
+ * Pause and seek the video to the first selected word (or the start of a selected gap).
+ * Frame.io's comment composer takes its time from the video, so this sets the comment's in point.
+ */
+async function seekToSelection(selection) {
+  seekLog.debug('Seeking to selection start:', selection.start.toFixed(2), 's');
+  await seekVideo(selection.start);
+  updateCommentTimestamp(selection.start);
+}
+
+/**
+ * Update the comment timestamp display to match video time
+ */
+function updateCommentTimestamp(time) {
+  timestampLog.debug('Attempting to update comment timestamp');
+  timestampLog.debug('Target time:', time.toFixed(2), 'seconds');
+
+  // Find the timestamp element in the comment composer
+  const timestampElement = BetterFrameSelectors.find('commentTimestamp');
+
+  if (!timestampElement) {
+    timestampLog.warn('⚠ Comment timestamp element not found');
+    return;
+  }
+
+  timestampLog.debug('Found timestamp element');
+  timestampLog.debug('Current timestamp text:', timestampElement.textContent);
+
+  // Frame.io automatically updates the timestamp when video time changes
+  // No need to click - just wait for it to update
+  timestampLog.debug('Timestamp will auto-sync with video time');
+
+  // Check if timestamp updated after a short delay
+  setTimeout(() => {
+    const updatedText = timestampElement.textContent;
+    timestampLog.debug('Timestamp after video seek:', updatedText);
+    timestampLog.debug('✓ Timestamp auto-update complete');
+  }, 300);
+}
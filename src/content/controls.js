@@ -0,0 +1,167 @@
+// BetterFrame - Controls
+// Injects the player controls next to Frame.io's play button, and removes them again
+
+import { formatSpeed } from './format.js';
+import { FRAME_BACKWARD_ICON, FRAME_FORWARD_ICON, LOOP_ICON, LOOP_IN_ICON, LOOP_OUT_ICON, TRANSCRIBE_ICON, backwardIcon, forwardIcon } from './icons.js';
+import { closeLoopMenu, setLoopIn, setLoopOut, toggleLoopMenu, watchLoop } from './loop.js';
+import { closeSpeedMenu, resetShuttle, toggleSpeedMenu, watchPlaybackSpeed } from './playback-speed.js';
+import { closeSkipStepMenu, createButton, createTimecodeDisplay, findPlayButton, findVideoElement, getActiveSkipSeconds, skipStepLabel, skipVideo, stepFrames, toggleSkipStepMenu, unwatchVideo, updateTimecodeDisplay, watchVideoFrames } from './player.js';
+import { addKeyboardShortcuts } from './shortcuts.js';
+import { state } from './state.js';
+import { handleTranscribe, resumeTranscriptionJob, updateTranscribeButtonState } from './transcription-client.js';
+
+const log = BetterFrameLogger.create();
+
+export let playerControls = [];
+
+/**
+ * Inject the skip buttons into the player controls
+ */
+export function injectButtons() {
+  if (state.buttonsInjected) return;
+
+  const video = findVideoElement();
+  if (!video) {
+    log.debug('Video element not found yet');
+    return;
+  }
+
+  const playButton = findPlayButton();
+  if (!playButton) {
+    log.debug('Play button not found yet');
+    return;
+  }
+
+  // Create the buttons (the active step is read at click time so settings apply live)
+  const activeStep = getActiveSkipSeconds();
+
+  const backwardButton = createButton(
+    backwardIcon(activeStep),
+    () => skipVideo(-getActiveSkipSeconds()),
+    `Skip backward ${activeStep} seconds`
+  );
+  backwardButton.id = 'betterframe-skip-backward-btn';
+
+  const stepButton = createButton(
+    skipStepLabel(activeStep),
+    () => toggleSkipStepMenu(),
+    'Choose skip step'
+  );
+  stepButton.id = 'betterframe-skip-step-btn';
+  stepButton.classList.add('betterframe-skip-step-button');
+
+  const forwardButton = createButton(
+    forwardIcon(activeStep),
+    () => skipVideo(getActiveSkipSeconds()),
+    `Skip forward ${activeStep} seconds`
+  );
+  forwardButton.id = 'betterframe-skip-forward-btn';
+
+  const loopInButton = createButton(
+    LOOP_IN_ICON,
+    () => setLoopIn(),
+    'Set loop in point'
+  );
+  loopInButton.id = 'betterframe-loop-in-btn';
+
+  const loopButton = createButton(
+    LOOP_ICON,
+    () => toggleLoopMenu(),
+    'Loop region'
+  );
+  loopButton.id = 'betterframe-loop-btn';
+
+  const loopOutButton = createButton(
+    LOOP_OUT_ICON,
+    () => setLoopOut(),
+    'Set loop out point'
+  );
+  loopOutButton.id = 'betterframe-loop-out-btn';
+
+  const frameBackwardButton = createButton(
+    FRAME_BACKWARD_ICON,
+    () => stepFrames(-1),
+    'Previous frame'
+  );
+  frameBackwardButton.id = 'betterframe-frame-backward-btn';
+
+  const frameForwardButton = createButton(
+    FRAME_FORWARD_ICON,
+    () => stepFrames(1),
+    'Next frame'
+  );
+  frameForwardButton.id = 'betterframe-frame-forward-btn';
+
+  const timecodeDisplay = createTimecodeDisplay();
+
+  const speedButton = createButton(
+    `<span class="betterframe-speed-label">${formatSpeed(state.settings.playbackRate)}</span>`,
+    () => toggleSpeedMenu(),
+    'Playback speed'
+  );
+  speedButton.id = 'betterframe-speed-btn';
+  speedButton.classList.add('betterframe-speed-button');
+
+  const transcribeButton = createButton(
+    TRANSCRIBE_ICON,
+    () => handleTranscribe(),
+    'Transcribe video with AI'
+  );
+  transcribeButton.id = 'betterframe-transcribe-btn';
+
+  // Insert buttons after the play button
+  const parent = playButton.parentElement;
+  const nextSibling = playButton.nextElementSibling;
+
+  const controls = [
+    backwardButton, stepButton, forwardButton,
+    loopInButton, loopButton, loopOutButton,
+    frameBackwardButton, frameForwardButton, timecodeDisplay,
+    speedButton, transcribeButton
+  ];
+
+  controls.forEach((control) => {
+    if (nextSibling) {
+      parent.insertBefore(control, nextSibling);
+    } else {
+      parent.appendChild(control);
+    }
+  });
+
+  playerControls = controls;
+  state.buttonsInjected = true;
+  log.info('Skip, frame and transcribe buttons injected successfully!');
+
+  watchVideoFrames(video);
+  updateTimecodeDisplay();
+  watchPlaybackSpeed(video);
+  watchLoop(video);
+  updateTranscribeButtonState();
+  resumeTranscriptionJob();
+
+  // Add keyboard shortcuts
+  addKeyboardShortcuts();
+}
+
+/**
+ * Remove the player controls, their menus and every listener bound to the current video
+ */
+export function teardownPlayer() {
+  state.playerLifecycle.abort();
+  state.playerLifecycle = new AbortController();
+
+  resetShuttle();
+  closeSkipStepMenu();
+  closeSpeedMenu();
+  closeLoopMenu();
+
+  playerControls.forEach((control) => control.remove());
+  playerControls = [];
+  const overlay = document.getElementById('betterframe-loop-overlay');
+  if (overlay) {
+    overlay.remove();
+  }
+
+  unwatchVideo();
+  state.buttonsInjected = false;
+}
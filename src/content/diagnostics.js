@@ -0,0 +1,56 @@
+// BetterFrame - Diagnostics
+// This tab's part of the popup's "Copy diagnostics" report: page, selectors, video and recent events
+
+import { findVideoElement, getFrameRate, getFrameRateSource } from './player.js';
+import { state } from './state.js';
+
+// Events of this tab included in the report, newest last
+const RECENT_EVENT_LIMIT = 100;
+
+/**
+ * Describe the video element, or null when there is none
+ */
+function describeVideo() {
+  const video = findVideoElement();
+  if (!video) {
+    return null;
+  }
+  return {
+    source: video.currentSrc || video.src || null,
+    duration: Number.isFinite(video.duration) ? video.duration : null,
+    currentTime: video.currentTime,
+    width: video.videoWidth,
+    height: video.videoHeight,
+    readyState: video.readyState,
+    paused: video.paused,
+    playbackRate: video.playbackRate,
+    frameRate: getFrameRate(),
+    frameRateSource: getFrameRateSource()
+  };
+}
+
+/**
+ * Collect this tab's diagnostics, with credentials and signed URL parameters redacted
+ */
+export function collectDiagnostics() {
+  const report = BetterFrameSelectors.check();
+  const transcript = state.currentTranscript;
+
+  return BetterFrameLogger.redact({
+    url: location.href,
+    userAgent: navigator.userAgent,
+    viewport: `${window.innerWidth}x${window.innerHeight}`,
+    controlsInjected: state.buttonsInjected,
+    selectors: {
+      version: report.version,
+      anchors: report.anchors.map(({ name, critical, found, selector }) => ({ name, critical, found, selector }))
+    },
+    video: describeVideo(),
+    transcript: transcript ? {
+      provider: transcript.provider || null,
+      segments: (transcript.segments || []).length,
+      speakers: Object.keys(transcript.speakers || {}).length
+    } : null,
+    events: BetterFrameLogger.getEntries({ limit: RECENT_EVENT_LIMIT })
+  });
+}
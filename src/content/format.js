@@ -0,0 +1,40 @@
+// BetterFrame - Format
+// Time and speed formatting. No DOM access, so it runs under Node too.
+
+/**
+ * Format seconds as an HH:MM:SS:FF timecode (non-drop-frame)
+ */
+export function formatTimecode(seconds, fps) {
+  const nominalRate = Math.round(fps);
+  const totalFrames = Math.floor(seconds * fps + 1e-6);
+  const frames = totalFrames % nominalRate;
+  const totalSeconds = Math.floor(totalFrames / nominalRate);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const secs = totalSeconds % 60;
+
+  return [hours, minutes, secs, frames].map((value) => value.toString().padStart(2, '0')).join(':');
+}
+
+/**
+ * Format timestamp from seconds to MM:SS
+ */
+export function formatTimestamp(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Format elapsed milliseconds as M:SS
+ */
+export function formatElapsed(ms) {
+  return formatTimestamp(Math.max(0, ms) / 1000);
+}
+
+/**
+ * Format a playback rate for display, e.g. "1.5x"
+ */
+export function formatSpeed(rate) {
+  return `${rate}x`;
+}
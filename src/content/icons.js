@@ -0,0 +1,47 @@
+// BetterFrame - Icons
+// SVG icons for the player controls
+
+// SVG icons for the buttons
+export function backwardIcon(seconds) {
+  return `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+  <path d="M11 18V6L2.5 12L11 18Z" fill="currentColor"/>
+  <path d="M19 18V6L10.5 12L19 18Z" fill="currentColor"/>
+  <text x="6" y="16" font-size="8" fill="currentColor" font-weight="bold">${seconds}</text>
+</svg>`;
+}
+
+export function forwardIcon(seconds) {
+  return `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+  <path d="M13 6V18L21.5 12L13 6Z" fill="currentColor"/>
+  <path d="M5 6V18L13.5 12L5 6Z" fill="currentColor"/>
+  <text x="14" y="16" font-size="8" fill="currentColor" font-weight="bold">${seconds}</text>
+</svg>`;
+}
+
+export const FRAME_BACKWARD_ICON = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+  <rect x="5" y="6" width="2" height="12" fill="currentColor"/>
+  <path d="M18 18V6L9 12L18 18Z" fill="currentColor"/>
+</svg>`;
+
+export const FRAME_FORWARD_ICON = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+  <path d="M6 6V18L15 12L6 6Z" fill="currentColor"/>
+  <rect x="17" y="6" width="2" height="12" fill="currentColor"/>
+</svg>`;
+
+export const LOOP_IN_ICON = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+  <path d="M6 4H11V6H8V18H11V20H6V4Z" fill="currentColor"/>
+  <path d="M12 12L18 8V16L12 12Z" fill="currentColor"/>
+</svg>`;
+
+export const LOOP_OUT_ICON = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+  <path d="M18 4H13V6H16V18H13V20H18V4Z" fill="currentColor"/>
+  <path d="M12 12L6 8V16L12 12Z" fill="currentColor"/>
+</svg>`;
+
+export const LOOP_ICON = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+  <path d="M7 7H17V10L21 6L17 2V5H5V11H7V7ZM17 17H7V14L3 18L7 22V19H19V13H17V17Z" fill="currentColor"/>
+</svg>`;
+
+export const TRANSCRIBE_ICON = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+  <path d="M19 3H5C3.9 3 3 3.9 3 5V19C3 20.1 3.9 21 5 21H19C20.1 21 21 20.1 21 19V5C21 3.9 20.1 3 19 3ZM17 11H13V17H11V11H7V9H17V11Z" fill="currentColor"/>
+</svg>`;
@@ -0,0 +1,24 @@
+// BetterFrame - Enhanced Frame.io Controls
+// This content script adds skip forward/backward buttons and AI transcription to the Frame.io video player.
+// Entry point of the content script bundle (see scripts/build.js); the shared scripts listed before it in
+// manifest.json provide the BetterFrame* globals the modules use.
+
+import { monitorForPlayer } from './lifecycle.js';
+import { handleRuntimeMessage } from './messages.js';
+import { initSettings } from './storage.js';
+
+const log = BetterFrameLogger.create();
+
+BetterFrameLogger.followSettings();
+initSettings();
+
+chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+
+// Start monitoring when the page loads
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', monitorForPlayer);
+} else {
+  monitorForPlayer();
+}
+
+log.info('Extension loaded');
@@ -0,0 +1,220 @@
+// BetterFrame - Lifecycle
+// Follows Frame.io's single-page navigation: injects, tears down and health-checks the UI
+
+import { injectButtons, playerControls, teardownPlayer } from './controls.js';
+import { resetLoop } from './loop.js';
+import { watchedVideo } from './player.js';
+import { resetSearch } from './search.js';
+import { adjustPageLayout, closeExportMenu, createTranscriptUI } from './sidebar.js';
+import { CHECK_INTERVAL, state } from './state.js';
+import { loadCachedTranscript } from './storage.js';
+import { showToast } from './toast.js';
+import { ensureWordLevelSegments } from './transcript-model.js';
+import { closeProgressPanel, resetTranscriptionJob } from './transcription-client.js';
+
+const log = BetterFrameLogger.create('Selectors');
+const pageLog = BetterFrameLogger.create();
+const transcribeLog = BetterFrameLogger.create('Transcribe');
+
+const SYNC_DELAY = 100; // Coalesce bursts of DOM mutations into one page check
+
+let currentPageKey = null;
+let restoreTranscriptOnInject = false;
+let showRestoredTranscript = false;
+let pollTimer = null;
+let syncTimer = null;
+
+// Frame.io anchor health (see frameio-selectors.js); checked once the player is injected or has failed to appear
+const HEALTH_CHECK_DELAY = 10000;
+let healthTimer = null;
+
+/**
+ * Identify what the injected UI belongs to: the Frame.io asset, or the path on pages that aren't one
+ */
+function getPageKey() {
+  return BetterFrameTranscriptCache.getAssetKey(location.href) || location.pathname;
+}
+
+/**
+ * Remove everything injected for the current asset: controls, transcript sidebar, panels and their state.
+ * The batch panel stays, since its jobs belong to the review link rather than to one asset.
+ */
+function teardownAsset() {
+  teardownPlayer();
+
+  state.transcriptLifecycle.abort();
+  state.transcriptLifecycle = new AbortController();
+  closeExportMenu();
+  closeProgressPanel();
+
+  const sidebar = document.getElementById('betterframe-transcript-sidebar');
+  if (sidebar && !sidebar.classList.contains('hidden')) {
+    adjustPageLayout(false);
+  }
+  ['betterframe-transcript-sidebar', 'betterframe-transcript-toggle', 'betterframe-selection-menu'].forEach((id) => {
+    const element = document.getElementById(id);
+    if (element) {
+      element.remove();
+    }
+  });
+
+  state.currentTranscript = null;
+  state.transcriptWordElements = [];
+  state.currentWordElement = null;
+  resetSearch();
+  resetTranscriptionJob();
+  resetLoop();
+}
+
+/**
+ * Load this asset's cached transcript into the sidebar, if it has one, showing the sidebar only when `visible`
+ */
+async function openCachedTranscript(visible) {
+  const assetKey = BetterFrameTranscriptCache.getAssetKey(location.href);
+  if (!assetKey) return;
+
+  const cached = await loadCachedTranscript(assetKey);
+  // The user may have moved on, or a finished job opened the transcript, while the cache was read
+  if (!cached || assetKey !== BetterFrameTranscriptCache.getAssetKey(location.href) ||
+      document.getElementById('betterframe-transcript-sidebar')) {
+    return;
+  }
+  transcribeLog.info('Restoring cached transcript for', assetKey);
+  createTranscriptUI(ensureWordLevelSegments(cached), { visible });
+}
+
+/**
+ * Check which Frame.io anchors are on the page, log the report and flag missing critical ones with a badge
+ */
+function runHealthCheck() {
+  clearTimeout(healthTimer);
+  healthTimer = null;
+
+  const report = BetterFrameSelectors.check();
+  log.info(`Health check (selectors v${report.version}):`);
+  report.anchors.forEach((anchor) => {
+    if (anchor.found) {
+      log.debug(`✓ ${anchor.description}: ${anchor.selector}`);
+    } else if (anchor.critical) {
+      log.error(`✗ ${anchor.description}: not found`);
+    } else {
+      log.warn(`⚠ ${anchor.description}: not found${anchor.context ? ` (${anchor.context})` : ''}`);
+    }
+  });
+
+  if (report.missingCritical.length > 0) {
+    showHealthBadge(report.missingCritical);
+  } else {
+    removeHealthBadge();
+  }
+}
+
+/**
+ * Show (or update) the warning badge listing the critical anchors that are missing
+ */
+function showHealthBadge(missing) {
+  const names = missing.map((anchor) => anchor.description).join(', ');
+  let badge = document.getElementById('betterframe-health-badge');
+  if (!badge) {
+    badge = document.createElement('button');
+    badge.id = 'betterframe-health-badge';
+    badge.className = 'betterframe-health-badge';
+    badge.textContent = '⚠ BetterFrame';
+    document.body.appendChild(badge);
+  }
+  badge.title = `Frame.io's page has changed: ${names} not found, so the BetterFrame controls are off. Click to dismiss.`;
+  badge.setAttribute('aria-label', badge.title);
+  badge.onclick = () => {
+    removeHealthBadge();
+    showToast(`BetterFrame could not find: ${names}. See the console for details.`, true);
+  };
+}
+
+/**
+ * Remove the warning badge
+ */
+function removeHealthBadge() {
+  const badge = document.getElementById('betterframe-health-badge');
+  if (badge) {
+    badge.remove();
+  }
+}
+
+/**
+ * Bring the injected UI in line with the page.
+ * Navigating to another asset tears everything down; Frame.io re-rendering the player only rebinds the controls.
+ */
+function syncWithPage() {
+  const pageKey = getPageKey();
+
+  if (currentPageKey !== null && pageKey !== currentPageKey) {
+    pageLog.info(`Navigated from ${currentPageKey} to ${pageKey}; removing injected UI`);
+    // The next asset's cached transcript is always restored; the sidebar stays open only if it was open
+    const sidebar = document.getElementById('betterframe-transcript-sidebar');
+    restoreTranscriptOnInject = true;
+    showRestoredTranscript = Boolean(sidebar && !sidebar.classList.contains('hidden'));
+    teardownAsset();
+  } else if (state.buttonsInjected && (!watchedVideo.isConnected || playerControls.some((control) => !control.isConnected))) {
+    pageLog.info('Player was re-rendered; rebinding to the new video');
+    teardownPlayer();
+  }
+  if (pageKey !== currentPageKey) {
+    // Give the player time to appear on asset pages before calling anything missing
+    clearTimeout(healthTimer);
+    removeHealthBadge();
+    healthTimer = BetterFrameTranscriptCache.getAssetKey(location.href) ? setTimeout(runHealthCheck, HEALTH_CHECK_DELAY) : null;
+  }
+  currentPageKey = pageKey;
+
+  if (state.buttonsInjected) return;
+
+  injectButtons();
+  if (!state.buttonsInjected) return;
+
+  runHealthCheck();
+
+  // From here on the observer notices every change, so the startup polling is no longer needed
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  if (restoreTranscriptOnInject) {
+    restoreTranscriptOnInject = false;
+    openCachedTranscript(showRestoredTranscript);
+  }
+}
+
+/**
+ * Check the page shortly, once per burst of changes
+ */
+function scheduleSync() {
+  if (syncTimer) return;
+  syncTimer = setTimeout(() => {
+    syncTimer = null;
+    syncWithPage();
+  }, SYNC_DELAY);
+}
+
+/**
+ * Monitor for the player to appear on the page
+ * Frame.io is a single-page app, so we need to watch for route changes
+ */
+export function monitorForPlayer() {
+  // Poll until the player first appears, in case it is ready before any mutation reaches the observer
+  pollTimer = setInterval(syncWithPage, CHECK_INTERVAL);
+
+  // Route changes always re-render part of the page. Patching history.pushState would not help here:
+  // content scripts run in an isolated world and never see the page's own calls.
+  const observer = new MutationObserver(scheduleSync);
+  observer.observe(document.body, {
+    childList: true,
+    subtree: true
+  });
+
+  window.addEventListener('popstate', scheduleSync);
+  if ('navigation' in window) {
+    window.navigation.addEventListener('navigatesuccess', scheduleSync);
+  }
+
+  syncWithPage();
+}
@@ -0,0 +1,285 @@
+// BetterFrame - Loop
+// A/B loop region: in/out points, the scrubber overlay and loop enforcement
+
+import { formatTimecode } from './format.js';
+import { findVideoElement, getFrameRate } from './player.js';
+import { state } from './state.js';
+import { showToast } from './toast.js';
+
+// A/B loop region (seconds, or null when unset)
+let loopIn = null;
+let loopOut = null;
+let lastLoopCheckTime = 0;
+
+/**
+ * Check whether both loop points are set and form a valid region
+ */
+function isLoopActive() {
+  return loopIn !== null && loopOut !== null && loopOut > loopIn;
+}
+
+/**
+ * Jump back to the in point when playback crosses the out point
+ */
+export function enforceLoop(video) {
+  const currentTime = video.currentTime;
+
+  // Only loop when playback crosses the out point, so seeking past it is still possible
+  if (isLoopActive() && !video.paused && lastLoopCheckTime < loopOut && currentTime >= loopOut) {
+    video.currentTime = loopIn;
+    lastLoopCheckTime = loopIn;
+    return;
+  }
+  lastLoopCheckTime = currentTime;
+}
+
+/**
+ * Set the loop in point at the current time
+ */
+export function setLoopIn() {
+  const video = findVideoElement();
+  if (!video) return;
+
+  loopIn = video.currentTime;
+  if (loopOut !== null && loopOut <= loopIn) {
+    loopOut = null;
+  }
+
+  updateLoopDisplay();
+  showToast(`Loop in: ${formatTimecode(loopIn, getFrameRate())}`);
+}
+
+/**
+ * Set the loop out point at the current time and start looping from the in point
+ */
+export function setLoopOut() {
+  const video = findVideoElement();
+  if (!video) return;
+
+  loopOut = video.currentTime;
+  if (loopIn !== null && loopIn >= loopOut) {
+    loopIn = null;
+  }
+
+  if (isLoopActive()) {
+    video.currentTime = loopIn;
+    lastLoopCheckTime = loopIn;
+  }
+
+  updateLoopDisplay();
+  showToast(`Loop out: ${formatTimecode(loopOut, getFrameRate())}`);
+}
+
+/**
+ * Forget the loop points without feedback, when the asset they belong to goes away
+ */
+export function resetLoop() {
+  loopIn = null;
+  loopOut = null;
+}
+
+/**
+ * Remove both loop points
+ */
+export function clearLoop() {
+  if (loopIn === null && loopOut === null) return;
+
+  loopIn = null;
+  loopOut = null;
+  updateLoopDisplay();
+  showToast('Loop cleared');
+}
+
+/**
+ * Move a loop point by a number of frames, keeping in before out
+ */
+function nudgeLoopPoint(point, frames) {
+  const video = findVideoElement();
+  if (!video) return;
+
+  const frameDuration = 1 / getFrameRate();
+  const delta = frames * frameDuration;
+
+  // Keep at least one frame between the two points
+  if (point === 'in' && loopIn !== null) {
+    const latest = (loopOut !== null ? loopOut : video.duration) - frameDuration;
+    loopIn = Math.max(0, Math.min(latest, loopIn + delta));
+    video.currentTime = loopIn;
+  } else if (point === 'out' && loopOut !== null) {
+    const earliest = (loopIn !== null ? loopIn : 0) + frameDuration;
+    loopOut = Math.max(earliest, Math.min(video.duration, loopOut + delta));
+    video.currentTime = loopOut;
+  }
+
+  updateLoopDisplay();
+}
+
+/**
+ * Find Frame.io's scrubber/timeline bar to draw the loop region on
+ */
+function findScrubberElement() {
+  return BetterFrameSelectors.find('scrubber');
+}
+
+/**
+ * Draw (or remove) the loop region overlay on Frame.io's scrubber
+ */
+function renderLoopOverlay() {
+  const video = findVideoElement();
+  let overlay = document.getElementById('betterframe-loop-overlay');
+
+  if ((loopIn === null && loopOut === null) || !video || !video.duration) {
+    if (overlay) overlay.remove();
+    return;
+  }
+
+  const scrubber = findScrubberElement();
+  if (!scrubber) {
+    if (overlay) overlay.remove();
+    return;
+  }
+
+  if (!overlay || overlay.parentElement !== scrubber) {
+    if (overlay) overlay.remove();
+    overlay = document.createElement('div');
+    overlay.id = 'betterframe-loop-overlay';
+    overlay.className = 'betterframe-loop-overlay';
+    if (getComputedStyle(scrubber).position === 'static') {
+      scrubber.style.position = 'relative';
+    }
+    scrubber.appendChild(overlay);
+  }
+
+  // With only one point set, draw a marker at that point
+  const start = loopIn !== null ? loopIn : loopOut;
+  const end = loopOut !== null ? loopOut : loopIn;
+  overlay.style.left = `${(start / video.duration) * 100}%`;
+  overlay.style.width = `${(Math.max(0, end - start) / video.duration) * 100}%`;
+  overlay.classList.toggle('betterframe-loop-overlay-partial', !isLoopActive());
+}
+
+/**
+ * Refresh the loop button, the loop menu and the scrubber overlay
+ */
+function updateLoopDisplay() {
+  const loopButton = document.getElementById('betterframe-loop-btn');
+  if (loopButton) {
+    loopButton.classList.toggle('betterframe-loop-active', isLoopActive());
+    const label = isLoopActive()
+      ? `Loop ${formatTimecode(loopIn, getFrameRate())} – ${formatTimecode(loopOut, getFrameRate())}`
+      : 'Loop region';
+    loopButton.setAttribute('aria-label', label);
+    loopButton.setAttribute('title', label);
+  }
+
+  if (document.getElementById('betterframe-loop-menu')) {
+    closeLoopMenu();
+    toggleLoopMenu();
+  }
+
+  renderLoopOverlay();
+}
+
+/**
+ * Close the loop menu if it is open
+ */
+export function closeLoopMenu() {
+  const menu = document.getElementById('betterframe-loop-menu');
+  if (menu) {
+    menu.remove();
+  }
+}
+
+/**
+ * Open (or close) the loop menu with frame nudges for each point and a clear action
+ */
+export function toggleLoopMenu() {
+  if (document.getElementById('betterframe-loop-menu')) {
+    closeLoopMenu();
+    return;
+  }
+
+  const loopButton = document.getElementById('betterframe-loop-btn');
+  if (!loopButton) return;
+
+  const menu = document.createElement('div');
+  menu.id = 'betterframe-loop-menu';
+  menu.className = 'betterframe-control-menu betterframe-loop-menu';
+
+  const fps = getFrameRate();
+
+  [['in', 'In', loopIn, setLoopIn], ['out', 'Out', loopOut, setLoopOut]].forEach(([point, name, value, setPoint]) => {
+    const row = document.createElement('div');
+    row.className = 'betterframe-control-menu-item betterframe-loop-menu-row';
+
+    const label = document.createElement('span');
+    label.className = 'betterframe-loop-menu-label';
+    label.textContent = name;
+
+    const earlier = document.createElement('button');
+    earlier.className = 'betterframe-skip-menu-jump';
+    earlier.textContent = '−1f';
+    earlier.title = `Move ${name.toLowerCase()} point one frame earlier`;
+    earlier.disabled = value === null;
+    earlier.onclick = () => nudgeLoopPoint(point, -1);
+
+    const time = document.createElement('span');
+    time.className = 'betterframe-loop-menu-time';
+    time.textContent = value !== null ? formatTimecode(value, fps) : '--:--:--:--';
+    time.title = `Set ${name.toLowerCase()} point here`;
+    time.onclick = setPoint;
+
+    const later = document.createElement('button');
+    later.className = 'betterframe-skip-menu-jump';
+    later.textContent = '+1f';
+    later.title = `Move ${name.toLowerCase()} point one frame later`;
+    later.disabled = value === null;
+    later.onclick = () => nudgeLoopPoint(point, 1);
+
+    row.appendChild(label);
+    row.appendChild(earlier);
+    row.appendChild(time);
+    row.appendChild(later);
+    menu.appendChild(row);
+  });
+
+  const clear = document.createElement('div');
+  clear.className = 'betterframe-control-menu-item betterframe-loop-menu-clear';
+  clear.textContent = `Clear loop (${BetterFrameSettings.formatShortcut(state.settings.shortcuts.clearLoop)})`;
+  clear.onclick = () => {
+    clearLoop();
+    closeLoopMenu();
+  };
+  menu.appendChild(clear);
+
+  // Open upwards from the loop button, like the other control menus
+  const rect = loopButton.getBoundingClientRect();
+  menu.style.left = `${rect.left + (rect.width / 2)}px`;
+  menu.style.bottom = `${window.innerHeight - rect.top + 8}px`;
+
+  document.body.appendChild(menu);
+}
+
+/**
+ * Keep the loop region tied to the current video source
+ */
+export function watchLoop(video) {
+  const { signal } = state.playerLifecycle;
+
+  video.addEventListener('timeupdate', () => {
+    enforceLoop(video);
+    // Frame.io re-renders its scrubber, so re-attach the overlay if it was dropped
+    if ((loopIn !== null || loopOut !== null) && !document.getElementById('betterframe-loop-overlay')) {
+      renderLoopOverlay();
+    }
+  }, { signal });
+
+  // A new source invalidates the old loop points
+  video.addEventListener('loadedmetadata', () => {
+    loopIn = null;
+    loopOut = null;
+    updateLoopDisplay();
+  }, { signal });
+
+  window.addEventListener('resize', renderLoopOverlay, { signal });
+}
@@ -0,0 +1,84 @@
+// BetterFrame - Messages
+// Messages from the popup and the background worker
+
+import { startBatchTranscription, updateBatchRow } from './batch.js';
+import { collectDiagnostics } from './diagnostics.js';
+import { findVideoElement, getVideoSource } from './player.js';
+import { state } from './state.js';
+import { handleJobComplete, handleJobUpdate, handleTranscribe, updateTranscribeButtonState } from './transcription-client.js';
+
+/**
+ * Answer cache, re-transcribe, batch and diagnostics requests from the popup, and job messages from the background worker
+ */
+export function handleRuntimeMessage(message, sender, sendResponse) {
+  const cache = BetterFrameTranscriptCache;
+
+  switch (message && message.type) {
+    case 'cache:list':
+      cache.list().then((entries) => sendResponse({ ok: true, entries }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    case 'cache:remove':
+      cache.remove(message.key).then(() => {
+        updateTranscribeButtonState();
+        sendResponse({ ok: true });
+      }).catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    case 'cache:clear':
+      cache.clear().then(() => {
+        updateTranscribeButtonState();
+        sendResponse({ ok: true });
+      }).catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    case 'transcript:retranscribe':
+      // Only the tab showing this asset can transcribe it
+      if (cache.getAssetKey(location.href) !== message.key || !state.buttonsInjected) {
+        sendResponse({ ok: false, error: 'Asset is not open in this tab' });
+        return false;
+      }
+      handleTranscribe(true);
+      sendResponse({ ok: true });
+      return false;
+
+    case 'batch:start':
+      startBatchTranscription().then((counts) => sendResponse({ ok: true, ...counts }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    case 'diagnostics:collect':
+      sendResponse({ ok: true, diagnostics: collectDiagnostics() });
+      return false;
+
+    case 'asset:video-source':
+      // Asked by the background worker about a batch asset it opened in a hidden tab
+      try {
+        const videoUrl = findVideoElement() ? getVideoSource() : null;
+        if (!videoUrl) {
+          sendResponse({ ok: false });
+        } else if (videoUrl.startsWith('blob:')) {
+          sendResponse({ ok: false, error: 'This video is streamed by the player and cannot be downloaded for transcription' });
+        } else {
+          sendResponse({ ok: true, videoUrl: videoUrl });
+        }
+      } catch (error) {
+        // The player has not set a source yet
+        sendResponse({ ok: false });
+      }
+      return false;
+
+    case 'job:update':
+      updateBatchRow(message.job);
+      handleJobUpdate(message.job);
+      return false;
+
+    case 'job:complete':
+      handleJobComplete(message.job, message.result);
+      return false;
+
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,318 @@
+// BetterFrame - Playback Speed
+// Playback speed menu and J/K/L shuttle, including reverse playback
+
+import { formatSpeed } from './format.js';
+import { findVideoElement, stepFrames } from './player.js';
+import { state } from './state.js';
+
+const log = BetterFrameLogger.create('Settings');
+const shuttleLog = BetterFrameLogger.create('Shuttle');
+
+// Playback speed and J/K/L shuttle state
+const SPEED_OPTIONS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
+const SHUTTLE_SPEEDS = [1, 2, 4];
+const CREEP_SPEED = 0.25;
+const REVERSE_TICK_MS = 66; // ~15 seeks per second while playing in reverse
+let shuttleSpeed = 0; // 0 = not shuttling, negative = reverse
+let reverseTimer = null;
+let shuttleHoldKeyDown = false;
+
+/**
+ * Apply the saved speed and pitch setting to the video (unless a shuttle is in progress)
+ */
+export function applyPlaybackSpeed() {
+  const video = findVideoElement();
+  if (video) {
+    video.preservesPitch = state.settings.preservesPitch;
+    if (shuttleSpeed === 0 && video.playbackRate !== state.settings.playbackRate) {
+      video.playbackRate = state.settings.playbackRate;
+    }
+  }
+  updateSpeedButton();
+}
+
+/**
+ * Change the saved playback speed and remember it on this browser
+ */
+function setPlaybackSpeed(rate) {
+  state.settings.playbackRate = rate;
+  stopShuttle(false);
+  applyPlaybackSpeed();
+
+  BetterFrameSettings.save({ playbackRate: rate }).catch((error) => {
+    log.error('Failed to save playback speed:', error);
+  });
+}
+
+/**
+ * Toggle pitch preservation for non-1x speeds and remember it on this browser
+ */
+function setPreservesPitch(enabled) {
+  state.settings.preservesPitch = enabled;
+  applyPlaybackSpeed();
+
+  BetterFrameSettings.save({ preservesPitch: enabled }).catch((error) => {
+    log.error('Failed to save pitch setting:', error);
+  });
+}
+
+/**
+ * Show the effective speed on the speed button (shuttle speed while shuttling)
+ */
+function updateSpeedButton() {
+  const speedButton = document.getElementById('betterframe-speed-btn');
+  if (!speedButton) return;
+
+  const rate = shuttleSpeed !== 0 ? shuttleSpeed : state.settings.playbackRate;
+  speedButton.querySelector('.betterframe-speed-label').textContent = formatSpeed(rate);
+  speedButton.classList.toggle('betterframe-shuttling', shuttleSpeed !== 0);
+}
+
+/**
+ * Close the playback speed menu if it is open
+ */
+export function closeSpeedMenu() {
+  const menu = document.getElementById('betterframe-speed-menu');
+  if (menu) {
+    menu.remove();
+  }
+}
+
+/**
+ * Open (or close) the playback speed menu with its pitch toggle
+ */
+export function toggleSpeedMenu() {
+  if (document.getElementById('betterframe-speed-menu')) {
+    closeSpeedMenu();
+    return;
+  }
+
+  const speedButton = document.getElementById('betterframe-speed-btn');
+  if (!speedButton) return;
+
+  const menu = document.createElement('div');
+  menu.id = 'betterframe-speed-menu';
+  menu.className = 'betterframe-control-menu betterframe-speed-menu';
+
+  SPEED_OPTIONS.forEach((rate) => {
+    const item = document.createElement('div');
+    item.className = 'betterframe-control-menu-item';
+    item.textContent = formatSpeed(rate);
+    if (rate === state.settings.playbackRate) {
+      item.classList.add('betterframe-control-menu-item-active');
+    }
+    item.onclick = () => {
+      setPlaybackSpeed(rate);
+      closeSpeedMenu();
+    };
+    menu.appendChild(item);
+  });
+
+  const pitchToggle = document.createElement('label');
+  pitchToggle.className = 'betterframe-control-menu-item betterframe-speed-pitch';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = state.settings.preservesPitch;
+  checkbox.onchange = () => setPreservesPitch(checkbox.checked);
+
+  pitchToggle.appendChild(checkbox);
+  pitchToggle.appendChild(document.createTextNode('Preserve pitch'));
+  menu.appendChild(pitchToggle);
+
+  // Open upwards from the speed button, like the skip step menu
+  const rect = speedButton.getBoundingClientRect();
+  menu.style.left = `${rect.left + (rect.width / 2)}px`;
+  menu.style.bottom = `${window.innerHeight - rect.top + 8}px`;
+
+  document.body.appendChild(menu);
+}
+
+/**
+ * Stop reverse playback driven by stepping currentTime
+ */
+function stopReversePlayback() {
+  if (reverseTimer) {
+    clearInterval(reverseTimer);
+    reverseTimer = null;
+  }
+}
+
+/**
+ * Stop shuttling and forget any held shuttle key
+ */
+export function resetShuttle() {
+  stopReversePlayback();
+  shuttleSpeed = 0;
+  shuttleHoldKeyDown = false;
+}
+
+/**
+ * Play backwards by repeatedly seeking, since <video> can't play at a negative rate
+ */
+function startReversePlayback(video, speed) {
+  let lastTick = performance.now();
+
+  reverseTimer = setInterval(() => {
+    const now = performance.now();
+    const elapsed = (now - lastTick) / 1000;
+
+    // Wait for the previous seek to finish so seeks don't pile up
+    if (video.seeking) return;
+    lastTick = now;
+
+    const target = video.currentTime - (elapsed * speed);
+    if (target <= 0) {
+      video.currentTime = 0;
+      stopShuttle(true);
+      return;
+    }
+    video.currentTime = target;
+  }, REVERSE_TICK_MS);
+}
+
+/**
+ * Shuttle at a signed speed: positive plays forward, negative plays in reverse
+ */
+function setShuttleSpeed(speed) {
+  const video = findVideoElement();
+  if (!video) return;
+
+  stopReversePlayback();
+  shuttleSpeed = speed;
+
+  if (speed > 0) {
+    video.playbackRate = speed;
+    // Rejected when K pauses before playback has started, which is expected
+    video.play().catch((error) => shuttleLog.debug('Playback interrupted:', error.message));
+  } else {
+    video.pause();
+    startReversePlayback(video, -speed);
+  }
+
+  updateSpeedButton();
+  shuttleLog.debug(`Shuttling at ${formatSpeed(speed)}`);
+}
+
+/**
+ * End any shuttle, restoring the saved speed; optionally pause the video
+ */
+function stopShuttle(pause) {
+  const video = findVideoElement();
+  const wasShuttling = shuttleSpeed !== 0;
+
+  stopReversePlayback();
+  shuttleSpeed = 0;
+
+  if (video) {
+    if (pause) {
+      video.pause();
+    }
+    video.playbackRate = state.settings.playbackRate;
+  }
+
+  if (wasShuttling) {
+    updateSpeedButton();
+  }
+}
+
+/**
+ * L: play forward, speeding up 1x → 2x → 4x on repeated presses
+ */
+function shuttleForward() {
+  const index = shuttleSpeed > 0 ? SHUTTLE_SPEEDS.indexOf(shuttleSpeed) : -1;
+  setShuttleSpeed(SHUTTLE_SPEEDS[Math.min(index + 1, SHUTTLE_SPEEDS.length - 1)]);
+}
+
+/**
+ * J: play in reverse, speeding up 1x → 2x → 4x on repeated presses
+ */
+function shuttleReverse() {
+  const index = shuttleSpeed < 0 ? SHUTTLE_SPEEDS.indexOf(-shuttleSpeed) : -1;
+  setShuttleSpeed(-SHUTTLE_SPEEDS[Math.min(index + 1, SHUTTLE_SPEEDS.length - 1)]);
+}
+
+/**
+ * Handle J/K/L presses. Holding K while pressing J or L steps one frame,
+ * and keeping J or L held creeps at a quarter speed until it is released.
+ */
+export function handleShuttleKeydown(e) {
+  const isReverse = BetterFrameSettings.matchesShortcut(e, state.settings.shortcuts.shuttleReverse);
+  const isForward = BetterFrameSettings.matchesShortcut(e, state.settings.shortcuts.shuttleForward);
+
+  if (BetterFrameSettings.matchesShortcut(e, state.settings.shortcuts.shuttlePause)) {
+    shuttleHoldKeyDown = true;
+    if (!e.repeat) {
+      stopShuttle(true);
+    }
+    return true;
+  }
+
+  if (!isReverse && !isForward) {
+    return false;
+  }
+
+  const direction = isForward ? 1 : -1;
+
+  if (shuttleHoldKeyDown) {
+    if (!e.repeat) {
+      stepFrames(direction);
+    } else if (shuttleSpeed !== direction * CREEP_SPEED) {
+      setShuttleSpeed(direction * CREEP_SPEED);
+    }
+  } else if (!e.repeat) {
+    if (isForward) {
+      shuttleForward();
+    } else {
+      shuttleReverse();
+    }
+  }
+  return true;
+}
+
+/**
+ * Track K being released and stop creeping when J/L is let go
+ */
+export function handleShuttleKeyup(e) {
+  if (BetterFrameSettings.matchesShortcutKey(e, state.settings.shortcuts.shuttlePause)) {
+    shuttleHoldKeyDown = false;
+    return;
+  }
+
+  const isShuttleKey = BetterFrameSettings.matchesShortcutKey(e, state.settings.shortcuts.shuttleReverse) ||
+    BetterFrameSettings.matchesShortcutKey(e, state.settings.shortcuts.shuttleForward);
+  if (isShuttleKey && Math.abs(shuttleSpeed) === CREEP_SPEED) {
+    stopShuttle(true);
+  }
+}
+
+/**
+ * Keep shuttle state and the speed button in step with the video element
+ */
+export function watchPlaybackSpeed(video) {
+  applyPlaybackSpeed();
+  const { signal } = state.playerLifecycle;
+
+  // Frame.io's own pause (e.g. Space) ends a forward shuttle; any play ends a reverse one
+  video.addEventListener('pause', () => {
+    if (shuttleSpeed > 0) {
+      stopShuttle(false);
+    }
+  }, { signal });
+  video.addEventListener('play', () => {
+    if (shuttleSpeed < 0) {
+      stopShuttle(false);
+    }
+  }, { signal });
+
+  // New sources start at 1x, so re-apply the saved speed
+  video.addEventListener('loadedmetadata', applyPlaybackSpeed, { signal });
+
+  // Speed changed by Frame.io's own controls becomes the saved speed
+  video.addEventListener('ratechange', () => {
+    if (shuttleSpeed === 0 && video.playbackRate !== state.settings.playbackRate &&
+        SPEED_OPTIONS.includes(video.playbackRate)) {
+      setPlaybackSpeed(video.playbackRate);
+    }
+  }, { signal });
+}
@@ -0,0 +1,451 @@
+// BetterFrame - Player
+// Video lookup, skipping, frame stepping, frame rate detection and the timecode display
+
+import { formatTimecode } from './format.js';
+import { backwardIcon, forwardIcon } from './icons.js';
+import { enforceLoop } from './loop.js';
+import { updateCurrentSegmentHighlight, updateCurrentWordHighlight } from './sidebar.js';
+import { CHECK_INTERVAL, state } from './state.js';
+
+const log = BetterFrameLogger.create('Frames');
+const settingsLog = BetterFrameLogger.create('Settings');
+const transcribeLog = BetterFrameLogger.create('Transcribe');
+
+// Frame rate detection state
+const STANDARD_FRAME_RATES = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60];
+const FALLBACK_FRAME_RATE = 30;
+const FRAME_RATE_SAMPLES_NEEDED = 20;
+export let watchedVideo = null;
+let detectedFrameRate = null;
+let frameRateSource = null; // 'frameio' or 'playback'
+let frameIntervalSamples = [];
+let lastFrameSample = null;
+let lastFrameRateLookup = 0;
+
+/**
+ * Find the video element on the page
+ */
+export function findVideoElement() {
+  return BetterFrameSelectors.find('video');
+}
+
+/**
+ * Find the play/pause button, which the BetterFrame controls are inserted after
+ */
+export function findPlayButton() {
+  return BetterFrameSelectors.find('playButton');
+}
+
+/**
+ * Skip video forward or backward by specified seconds
+ */
+export function skipVideo(seconds) {
+  const video = findVideoElement();
+  if (video) {
+    video.currentTime = Math.max(0, Math.min(video.duration, video.currentTime + seconds));
+  }
+}
+
+/**
+ * Snap a measured frame rate to the closest standard rate
+ */
+function snapFrameRate(rate) {
+  return STANDARD_FRAME_RATES.reduce((closest, standard) =>
+    Math.abs(standard - rate) < Math.abs(closest - rate) ? standard : closest
+  );
+}
+
+/**
+ * Read the frame rate from Frame.io's asset metadata (e.g. "23.976 fps"), if it is on screen
+ */
+function readFrameRateFromPage() {
+  const element = BetterFrameSelectors.find('frameRate');
+  const match = element && /(\d{2}(?:\.\d{1,3})?)\s*fps\b/i.exec(element.textContent);
+  return match ? snapFrameRate(parseFloat(match[1])) : null;
+}
+
+/**
+ * Record the media-time gap between two consecutively presented frames.
+ * Once enough samples exist, their average gives the playback frame rate.
+ */
+function sampleFrameTiming(metadata) {
+  if (lastFrameSample && metadata.presentedFrames === lastFrameSample.presentedFrames + 1) {
+    const interval = metadata.mediaTime - lastFrameSample.mediaTime;
+    // Ignore seeks and pauses, which show up as gaps far outside any real frame duration
+    if (interval > 1 / 120 && interval < 1 / 10) {
+      frameIntervalSamples.push(interval);
+    }
+  }
+  lastFrameSample = { mediaTime: metadata.mediaTime, presentedFrames: metadata.presentedFrames };
+
+  if (frameRateSource !== 'frameio' && frameIntervalSamples.length >= FRAME_RATE_SAMPLES_NEEDED) {
+    const average = frameIntervalSamples.reduce((sum, value) => sum + value, 0) / frameIntervalSamples.length;
+    const rate = snapFrameRate(1 / average);
+    if (rate !== detectedFrameRate) {
+      detectedFrameRate = rate;
+      frameRateSource = 'playback';
+      log.info(`Detected ${rate} fps from playback`);
+    }
+    frameIntervalSamples = frameIntervalSamples.slice(-FRAME_RATE_SAMPLES_NEEDED);
+  }
+}
+
+/**
+ * Forget everything measured for the previous video source
+ */
+function resetFrameRateDetection() {
+  detectedFrameRate = null;
+  frameRateSource = null;
+  frameIntervalSamples = [];
+  lastFrameSample = null;
+  lastFrameRateLookup = 0;
+}
+
+/**
+ * Stop treating the current video as watched, so the next one is bound afresh
+ */
+export function unwatchVideo() {
+  watchedVideo = null;
+  resetFrameRateDetection();
+}
+
+/**
+ * Get the frame rate used for stepping: manual override, then detected, then a fallback
+ */
+export function getFrameRate() {
+  if (state.settings.frameRate !== 'auto') {
+    return parseFloat(state.settings.frameRate);
+  }
+
+  // Frame.io's metadata wins over measurement; look for it at most once per check interval
+  if (frameRateSource !== 'frameio' && Date.now() - lastFrameRateLookup > CHECK_INTERVAL) {
+    lastFrameRateLookup = Date.now();
+    const pageRate = readFrameRateFromPage();
+    if (pageRate) {
+      detectedFrameRate = pageRate;
+      frameRateSource = 'frameio';
+      log.info(`Using ${pageRate} fps from Frame.io metadata`);
+    }
+  }
+
+  return detectedFrameRate || FALLBACK_FRAME_RATE;
+}
+
+/**
+ * Where the frame rate from getFrameRate comes from: 'setting', 'frameio', 'playback' or 'fallback'
+ */
+export function getFrameRateSource() {
+  if (state.settings.frameRate !== 'auto') {
+    return 'setting';
+  }
+  return detectedFrameRate ? frameRateSource : 'fallback';
+}
+
+/**
+ * Step the video by a whole number of frames (negative steps go back)
+ */
+export function stepFrames(count) {
+  const video = findVideoElement();
+  if (!video) return;
+
+  if (!video.paused) {
+    video.pause();
+  }
+
+  const fps = getFrameRate();
+  const currentFrame = Math.floor(video.currentTime * fps + 1e-6);
+  const lastFrame = Math.max(0, Math.floor(video.duration * fps) - 1);
+  const targetFrame = Math.max(0, Math.min(lastFrame, currentFrame + count));
+
+  // Seek to the middle of the target frame so rounding can't land on its neighbour
+  video.currentTime = (targetFrame + 0.5) / fps;
+  updateTimecodeDisplay();
+}
+
+/**
+ * Refresh the injected timecode readout from the video's current time
+ */
+export function updateTimecodeDisplay() {
+  const display = document.getElementById('betterframe-timecode');
+  const video = findVideoElement();
+  if (!display || !video) return;
+
+  const fps = getFrameRate();
+  const isKnown = state.settings.frameRate !== 'auto' || detectedFrameRate !== null;
+
+  display.querySelector('.betterframe-timecode-value').textContent = formatTimecode(video.currentTime, fps);
+  display.querySelector('.betterframe-timecode-rate').textContent = `${isKnown ? '' : '≈'}${fps} fps`;
+  display.title = state.settings.frameRate !== 'auto'
+    ? 'Frame rate set manually in BetterFrame settings'
+    : (isKnown ? `Frame rate detected from ${frameRateSource === 'frameio' ? 'Frame.io metadata' : 'playback'}` : 'Play the video to detect its frame rate');
+}
+
+/**
+ * Follow every presented frame of the video to detect its frame rate and keep the timecode live
+ */
+export function watchVideoFrames(video) {
+  if (watchedVideo === video) return;
+  watchedVideo = video;
+  resetFrameRateDetection();
+  const { signal } = state.playerLifecycle;
+
+  video.addEventListener('loadedmetadata', () => {
+    resetFrameRateDetection();
+    updateTimecodeDisplay();
+  }, { signal });
+  video.addEventListener('timeupdate', updateTimecodeDisplay, { signal });
+  video.addEventListener('seeked', updateTimecodeDisplay, { signal });
+
+  // Highlight the playing segment and word of whichever transcript is open
+  video.addEventListener('timeupdate', () => {
+    updateCurrentSegmentHighlight(video.currentTime);
+    updateCurrentWordHighlight(video.currentTime);
+  }, { signal });
+
+  if (!('requestVideoFrameCallback' in video)) {
+    log.warn('requestVideoFrameCallback not supported; frame rate will not be detected');
+    return;
+  }
+
+  const onFrame = (now, metadata) => {
+    if (signal.aborted || watchedVideo !== video) return;
+    sampleFrameTiming(metadata);
+    updateTimecodeDisplay();
+    updateCurrentWordHighlight(video.currentTime);
+    enforceLoop(video);
+    video.requestVideoFrameCallback(onFrame);
+  };
+  video.requestVideoFrameCallback(onFrame);
+}
+
+/**
+ * Create the HH:MM:SS:FF timecode readout shown next to the frame buttons
+ */
+export function createTimecodeDisplay() {
+  const display = document.createElement('div');
+  display.id = 'betterframe-timecode';
+  display.className = 'betterframe-timecode';
+
+  const value = document.createElement('span');
+  value.className = 'betterframe-timecode-value';
+  value.textContent = '00:00:00:00';
+
+  const rate = document.createElement('span');
+  rate.className = 'betterframe-timecode-rate';
+
+  display.appendChild(value);
+  display.appendChild(rate);
+  return display;
+}
+
+/**
+ * Get the video source URL
+ */
+export function getVideoSource() {
+  try {
+    transcribeLog.debug('Getting video source...');
+    const video = findVideoElement();
+    if (!video) {
+      throw new Error('Video element not found');
+    }
+
+    const src = video.src || video.currentSrc;
+    if (!src) {
+      throw new Error('Video source URL not found');
+    }
+
+    transcribeLog.debug('Video source found:', src.substring(0, 50) + '...');
+    return src;
+  } catch (error) {
+    transcribeLog.error('Error getting video source:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a control button matching Frame.io's style
+ */
+export function createButton(icon, onClick, ariaLabel) {
+  const button = document.createElement('div');
+  button.className = 'betterframe-skip-button';
+  button.setAttribute('role', 'button');
+  button.setAttribute('tabindex', '0');
+  button.setAttribute('aria-label', ariaLabel);
+  button.setAttribute('title', ariaLabel);
+  button.innerHTML = icon;
+
+  // Add click handler
+  button.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onClick();
+    // Remove focus so space key returns to play/pause functionality
+    button.blur();
+  });
+
+  // Add keyboard support (Enter and Space)
+  button.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      e.stopPropagation();
+      onClick();
+      // Remove focus so space key returns to play/pause functionality
+      button.blur();
+    }
+  });
+
+  return button;
+}
+
+/**
+ * Get the skip duration used by the skip buttons.
+ * Falls back to the closest configured step if the active one was removed.
+ */
+export function getActiveSkipSeconds() {
+  const steps = state.settings.skipSteps.map((step) => step.seconds);
+  if (steps.includes(state.settings.activeSkipSeconds)) {
+    return state.settings.activeSkipSeconds;
+  }
+  return steps.reduce((closest, seconds) =>
+    Math.abs(seconds - state.settings.activeSkipSeconds) < Math.abs(closest - state.settings.activeSkipSeconds) ? seconds : closest
+  );
+}
+
+/**
+ * Label for the skip step selector, e.g. "5s ▾"
+ */
+export function skipStepLabel(seconds) {
+  return `<span class="betterframe-skip-step-label">${seconds}s ▾</span>`;
+}
+
+/**
+ * Refresh the skip button icons and labels after the active step changes
+ */
+export function updateSkipButtons() {
+  const activeStep = getActiveSkipSeconds();
+  const backwardButton = document.getElementById('betterframe-skip-backward-btn');
+  const forwardButton = document.getElementById('betterframe-skip-forward-btn');
+  const stepButton = document.getElementById('betterframe-skip-step-btn');
+
+  if (backwardButton) {
+    const label = `Skip backward ${activeStep} seconds`;
+    backwardButton.innerHTML = backwardIcon(activeStep);
+    backwardButton.setAttribute('aria-label', label);
+    backwardButton.setAttribute('title', label);
+  }
+
+  if (forwardButton) {
+    const label = `Skip forward ${activeStep} seconds`;
+    forwardButton.innerHTML = forwardIcon(activeStep);
+    forwardButton.setAttribute('aria-label', label);
+    forwardButton.setAttribute('title', label);
+  }
+
+  if (stepButton) {
+    stepButton.innerHTML = skipStepLabel(activeStep);
+  }
+
+  // Rebuild an open menu so it reflects the new steps
+  if (document.getElementById('betterframe-skip-menu')) {
+    closeSkipStepMenu();
+    toggleSkipStepMenu();
+  }
+}
+
+/**
+ * Close the skip step menu if it is open
+ */
+export function closeSkipStepMenu() {
+  const menu = document.getElementById('betterframe-skip-menu');
+  if (menu) {
+    menu.remove();
+  }
+}
+
+/**
+ * Open (or close) the dropdown listing every configured skip step
+ */
+export function toggleSkipStepMenu() {
+  if (document.getElementById('betterframe-skip-menu')) {
+    closeSkipStepMenu();
+    return;
+  }
+
+  const stepButton = document.getElementById('betterframe-skip-step-btn');
+  if (!stepButton) return;
+
+  const menu = document.createElement('div');
+  menu.id = 'betterframe-skip-menu';
+  menu.className = 'betterframe-control-menu betterframe-skip-menu';
+
+  const activeStep = getActiveSkipSeconds();
+
+  state.settings.skipSteps.forEach((step) => {
+    const item = document.createElement('div');
+    item.className = 'betterframe-control-menu-item';
+    if (step.seconds === activeStep) {
+      item.classList.add('betterframe-control-menu-item-active');
+    }
+
+    // Jump directly from the menu without changing the active step
+    const back = document.createElement('button');
+    back.className = 'betterframe-skip-menu-jump';
+    back.textContent = '«';
+    back.title = `Skip backward ${step.seconds} seconds`;
+    back.onclick = (e) => {
+      e.stopPropagation();
+      skipVideo(-step.seconds);
+    };
+
+    const label = document.createElement('span');
+    label.className = 'betterframe-skip-menu-label';
+    label.textContent = `${step.seconds}s`;
+
+    const forward = document.createElement('button');
+    forward.className = 'betterframe-skip-menu-jump';
+    forward.textContent = '»';
+    forward.title = `Skip forward ${step.seconds} seconds`;
+    forward.onclick = (e) => {
+      e.stopPropagation();
+      skipVideo(step.seconds);
+    };
+
+    const shortcuts = document.createElement('span');
+    shortcuts.className = 'betterframe-skip-menu-shortcuts';
+    shortcuts.textContent = [step.backwardShortcut, step.forwardShortcut]
+      .filter(Boolean)
+      .map(BetterFrameSettings.formatShortcut)
+      .join(' / ');
+
+    // Clicking the row makes this step the one used by the skip buttons
+    item.onclick = () => {
+      setActiveSkipSeconds(step.seconds);
+      closeSkipStepMenu();
+    };
+
+    item.appendChild(back);
+    item.appendChild(label);
+    item.appendChild(forward);
+    item.appendChild(shortcuts);
+    menu.appendChild(item);
+  });
+
+  // Open upwards from the step button, since the controls sit at the bottom of the player
+  const rect = stepButton.getBoundingClientRect();
+  menu.style.left = `${rect.left + (rect.width / 2)}px`;
+  menu.style.bottom = `${window.innerHeight - rect.top + 8}px`;
+
+  document.body.appendChild(menu);
+}
+
+/**
+ * Change the step used by the skip buttons and remember it across tabs
+ */
+function setActiveSkipSeconds(seconds) {
+  state.settings.activeSkipSeconds = seconds;
+  updateSkipButtons();
+
+  BetterFrameSettings.save({ activeSkipSeconds: seconds }).catch((error) => {
+    settingsLog.error('Failed to save active skip step:', error);
+  });
+}
@@ -0,0 +1,212 @@
+// BetterFrame - Search
+// Transcript search bar
+
+import { findVideoElement } from './player.js';
+import { jumpToSegment } from './sidebar.js';
+import { state } from './state.js';
+
+// Transcript search results: each match is { segmentEl, wordEls, time }
+let searchMatches = [];
+let searchMatchIndex = -1;
+const searchOptions = { caseSensitive: false, wholeWord: false };
+
+/**
+ * Forget the matches of the previous transcript
+ */
+export function resetSearch() {
+  searchMatches = [];
+  searchMatchIndex = -1;
+}
+
+/**
+ * Create the search row for the sidebar header: query box, match count, prev/next and option toggles
+ */
+export function createSearchBar() {
+  const bar = document.createElement('div');
+  bar.className = 'betterframe-transcript-search';
+
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.id = 'betterframe-search-input';
+  input.className = 'betterframe-search-input';
+  input.placeholder = 'Search transcript';
+  input.setAttribute('aria-label', 'Search transcript');
+  input.addEventListener('input', () => runTranscriptSearch());
+  input.addEventListener('keydown', (event) => {
+    // Keep typing from reaching Frame.io's and our own player shortcuts
+    event.stopPropagation();
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      goToSearchMatch(searchMatchIndex + (event.shiftKey ? -1 : 1));
+    } else if (event.key === 'Escape') {
+      input.value = '';
+      runTranscriptSearch();
+    }
+  });
+
+  const count = document.createElement('span');
+  count.id = 'betterframe-search-count';
+  count.className = 'betterframe-search-count';
+
+  const button = (label, title, onClick) => {
+    const element = document.createElement('button');
+    element.className = 'betterframe-search-button';
+    element.textContent = label;
+    element.setAttribute('title', title);
+    element.setAttribute('aria-label', title);
+    element.onclick = onClick;
+    return element;
+  };
+
+  const toggle = (label, title, option) => {
+    const element = button(label, title, () => {
+      searchOptions[option] = !searchOptions[option];
+      element.setAttribute('aria-pressed', String(searchOptions[option]));
+      runTranscriptSearch();
+    });
+    element.classList.add('betterframe-search-toggle');
+    element.setAttribute('aria-pressed', String(searchOptions[option]));
+    return element;
+  };
+
+  bar.appendChild(input);
+  bar.appendChild(count);
+  bar.appendChild(button('↑', 'Previous match (Shift+Enter)', () => goToSearchMatch(searchMatchIndex - 1)));
+  bar.appendChild(button('↓', 'Next match (Enter)', () => goToSearchMatch(searchMatchIndex + 1)));
+  bar.appendChild(toggle('Aa', 'Match case', 'caseSensitive'));
+  bar.appendChild(toggle('ab', 'Whole words only', 'wholeWord'));
+  return bar;
+}
+
+/**
+ * Build the search regex for a query and the current search options, or null for an empty query
+ */
+function buildSearchPattern(query) {
+  const trimmed = query.trim();
+  if (!trimmed) return null;
+
+  let source = trimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  if (searchOptions.wholeWord) {
+    source = `(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])`;
+  }
+  return new RegExp(source, searchOptions.caseSensitive ? 'gu' : 'giu');
+}
+
+/**
+ * Find every match of the search box query in the transcript and highlight the words it covers
+ */
+function runTranscriptSearch() {
+  const input = document.getElementById('betterframe-search-input');
+  document.querySelectorAll('.betterframe-search-match').forEach((element) => {
+    element.classList.remove('betterframe-search-match', 'betterframe-search-match-current');
+  });
+  searchMatches = [];
+  searchMatchIndex = -1;
+
+  const pattern = input && state.currentTranscript ? buildSearchPattern(input.value) : null;
+  if (pattern) {
+    document.querySelectorAll('.betterframe-transcript-segment').forEach((segmentEl) => {
+      const segment = state.currentTranscript.segments[parseInt(segmentEl.dataset.index, 10)];
+      const wordEls = Array.from(segmentEl.querySelectorAll('.betterframe-transcript-word'));
+      if (!segment) return;
+
+      if (wordEls.length === 0) {
+        // Segments without word timing match as a whole
+        pattern.lastIndex = 0;
+        if (pattern.test(segment.text)) {
+          searchMatches.push({ segmentEl, wordEls: [segmentEl.querySelector('.betterframe-transcript-text')], time: segment.start });
+        }
+        return;
+      }
+
+      // Match against the words joined by spaces, then map character offsets back to words
+      const offsets = [];
+      let text = '';
+      wordEls.forEach((wordEl, index) => {
+        if (index > 0) text += ' ';
+        offsets.push(text.length);
+        text += wordEl.textContent;
+      });
+
+      for (const match of text.matchAll(pattern)) {
+        if (match[0].length === 0) continue;
+        const matchEnd = match.index + match[0].length;
+        const matched = wordEls.filter((wordEl, index) =>
+          offsets[index] < matchEnd && offsets[index] + wordEl.textContent.length > match.index
+        );
+        searchMatches.push({ segmentEl, wordEls: matched, time: parseFloat(matched[0].dataset.start) });
+      }
+    });
+  }
+
+  searchMatches.forEach((match) => {
+    match.wordEls.forEach((element) => element.classList.add('betterframe-search-match'));
+  });
+
+  // Start from the first match at or after the playhead
+  if (searchMatches.length > 0) {
+    const video = findVideoElement();
+    const now = video ? video.currentTime : 0;
+    const next = searchMatches.findIndex((match) => match.time >= now);
+    setCurrentSearchMatch(next === -1 ? 0 : next);
+  }
+  updateSearchCount();
+}
+
+/**
+ * Show "current / total" next to the search box
+ */
+function updateSearchCount() {
+  const count = document.getElementById('betterframe-search-count');
+  const input = document.getElementById('betterframe-search-input');
+  if (!count) return;
+
+  if (!input || !input.value.trim()) {
+    count.textContent = '';
+  } else if (searchMatches.length === 0) {
+    count.textContent = 'No matches';
+  } else {
+    count.textContent = `${searchMatchIndex + 1} / ${searchMatches.length}`;
+  }
+}
+
+/**
+ * Mark one match as current and scroll it into view without seeking
+ */
+function setCurrentSearchMatch(index) {
+  document.querySelectorAll('.betterframe-search-match-current').forEach((element) => {
+    element.classList.remove('betterframe-search-match-current');
+  });
+
+  searchMatchIndex = index;
+  const match = searchMatches[index];
+  match.wordEls.forEach((element) => element.classList.add('betterframe-search-match-current'));
+  match.wordEls[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Move to a match (wrapping around) and seek the video to its first word
+ */
+function goToSearchMatch(index) {
+  if (searchMatches.length === 0) return;
+
+  const wrapped = (index + searchMatches.length) % searchMatches.length;
+  setCurrentSearchMatch(wrapped);
+  updateSearchCount();
+
+  const match = searchMatches[wrapped];
+  jumpToSegment(match.segmentEl, match.time);
+}
+
+/**
+ * Jump to a search match when one of its highlighted words is clicked
+ */
+export function handleSearchMatchClick(event) {
+  const element = event.target.closest('.betterframe-search-match');
+  if (!element || !window.getSelection().isCollapsed) return;
+
+  const index = searchMatches.findIndex((match) => match.wordEls.includes(element));
+  if (index !== -1) {
+    goToSearchMatch(index);
+  }
+}
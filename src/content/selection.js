@@ -0,0 +1,301 @@
+// BetterFrame - Selection
+// Selection menu on the transcript: comments, templates, markup and copy
+
+import { render } from '../shared/comment-templates.js';
+import { addAnnotation } from './annotations.js';
+import { copyToClipboard, insertSelectionComment } from './comment-bridge.js';
+import { getFrameRate } from './player.js';
+import { state } from './state.js';
+import { showToast } from './toast.js';
+import { buildTemplateValues } from './transcript-model.js';
+
+const log = BetterFrameLogger.create('Selection');
+
+/**
+ * Add text selection handler for transcript actions
+ */
+export function addTextSelectionHandler() {
+  const transcriptContent = document.querySelector('.betterframe-transcript-content');
+
+  if (!transcriptContent) {
+    log.error('Transcript content not found');
+    return;
+  }
+
+  // Remove existing selection menu if any
+  let existingMenu = document.getElementById('betterframe-selection-menu');
+  if (existingMenu) {
+    existingMenu.remove();
+  }
+
+  // Listen for text selection
+  transcriptContent.addEventListener('mouseup', (e) => {
+    handleTextSelection(e);
+  });
+
+  // Hide menu when clicking elsewhere
+  document.addEventListener('mousedown', (e) => {
+    const menu = document.getElementById('betterframe-selection-menu');
+    if (menu && !menu.contains(e.target)) {
+      menu.remove();
+    }
+  }, { signal: state.transcriptLifecycle.signal });
+
+  log.debug('Text selection handler added');
+}
+
+/**
+ * Handle text selection in transcript
+ */
+function handleTextSelection(e) {
+  // Remove existing menu
+  let existingMenu = document.getElementById('betterframe-selection-menu');
+  if (existingMenu) {
+    existingMenu.remove();
+  }
+
+  const current = getTranscriptSelection();
+  if (current) {
+    createSelectionMenu(current.selection, current.range);
+  }
+}
+
+/**
+ * Map the page's current text selection to transcript words, or null when nothing in the transcript is selected
+ */
+function getTranscriptSelection() {
+  const selection = window.getSelection();
+  const selectedText = selection.toString(); // Don't trim - allow spaces
+
+  // Allow selection even if it's just spaces
+  if (!selectedText || selectedText.length === 0) {
+    return null;
+  }
+
+  // The selection must start or end inside the transcript
+  const range = selection.getRangeAt(0);
+  const transcriptContent = document.querySelector('.betterframe-transcript-content');
+  if (!transcriptContent || !(transcriptContent.contains(range.startContainer) || transcriptContent.contains(range.endContainer))) {
+    return null;
+  }
+
+  const selectionInfo = resolveSelection(selectedText, transcriptContent, range);
+  if (!selectionInfo) {
+    log.warn('Could not map selection to transcript words');
+    return null;
+  }
+  return { selection: selectionInfo, range: range };
+}
+
+/**
+ * Apply the comment template bound to a shortcut to the transcript selection.
+ * Returns true when the key press was used.
+ */
+export function handleTemplateShortcut(e) {
+  const template = state.settings.commentTemplates.find((item) => BetterFrameSettings.matchesShortcut(e, item.shortcut));
+  if (!template) return false;
+
+  const current = getTranscriptSelection();
+  if (!current) return false;
+
+  const menu = document.getElementById('betterframe-selection-menu');
+  if (menu) {
+    menu.remove();
+  }
+  applyCommentTemplate(template, current.selection);
+  window.getSelection().removeAllRanges();
+  return true;
+}
+
+/**
+ * Check whether a range covers at least one character of an element
+ * (a range that only touches its edge doesn't count)
+ */
+function rangeCoversElement(range, element) {
+  if (!range.intersectsNode(element)) return false;
+
+  const text = element.textContent;
+  if (element.contains(range.endContainer) && range.endOffset === 0 && range.endContainer.nodeType === 3) {
+    return false;
+  }
+  if (element.contains(range.startContainer) && range.startContainer.nodeType === 3 &&
+      range.startOffset >= text.length) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Map a DOM selection to transcript words. The selection may cross any number of segments.
+ *
+ * Returns the touched segments, their words joined into one list, and the selected slice
+ * as [startIndex, endIndex) within that list; `offset` is the list's position among all
+ * transcript words. Selected words are rebuilt from the transcript, so timestamps and
+ * speaker chips caught between segments never end up in the text. A selection that covers
+ * only the space between two words gives an empty slice positioned at the following word,
+ * with start/end spanning the gap, so "Long pause" can point at silences.
+ */
+function resolveSelection(selectedText, transcriptContent, range) {
+  if (!state.currentTranscript) {
+    return null;
+  }
+
+  const segmentEls = Array.from(transcriptContent.querySelectorAll('.betterframe-transcript-segment'))
+    .filter((segmentEl) => range.intersectsNode(segmentEl));
+  const segments = segmentEls.map((segmentEl) => state.currentTranscript.segments[parseInt(segmentEl.dataset.index, 10)]);
+  if (segments.length === 0 || segments.some((segment) => !segment || !Array.isArray(segment.words))) {
+    return null;
+  }
+
+  const words = segments.flatMap((segment) => segment.words);
+  const wordElements = segmentEls.flatMap((segmentEl) => Array.from(segmentEl.querySelectorAll('.betterframe-transcript-word')));
+  const coveredIndices = wordElements
+    .map((element, i) => (rangeCoversElement(range, element) ? i : -1))
+    .filter((i) => i !== -1);
+
+  let startIndex;
+  let endIndex;
+  let start;
+  let end;
+  let text;
+
+  if (coveredIndices.length > 0) {
+    startIndex = coveredIndices[0];
+    endIndex = coveredIndices[coveredIndices.length - 1] + 1;
+    start = words[startIndex].start;
+    end = words[endIndex - 1].end;
+    text = words.slice(startIndex, endIndex).map((word) => word.text).join(' ');
+  } else {
+    // Only whitespace selected: find the first word after the selection
+    startIndex = wordElements.findIndex((element) =>
+      range.comparePoint(element, 0) > 0 || element.contains(range.endContainer)
+    );
+    if (startIndex === -1) {
+      startIndex = words.length;
+    }
+    endIndex = startIndex;
+    start = startIndex > 0 ? words[startIndex - 1].end : segments[0].start;
+    end = startIndex < words.length ? words[startIndex].start : segments[segments.length - 1].end;
+    text = selectedText;
+  }
+
+  const firstSegmentIndex = parseInt(segmentEls[0].dataset.index, 10);
+  const offset = state.currentTranscript.segments
+    .slice(0, firstSegmentIndex)
+    .reduce((count, segment) => count + ((segment.words && segment.words.length) || 0), 0);
+
+  return {
+    text: text,
+    segments: segments,
+    words: words,
+    offset: offset,
+    startIndex: startIndex,
+    endIndex: endIndex,
+    start: start,
+    end: end
+  };
+}
+
+/**
+ * Create floating menu with action buttons
+ */
+function createSelectionMenu(selection, range) {
+  const menu = document.createElement('div');
+  menu.id = 'betterframe-selection-menu';
+  menu.className = 'betterframe-selection-menu';
+
+  // Position menu near selection
+  const rect = range.getBoundingClientRect();
+  menu.style.position = 'fixed';
+  menu.style.top = `${rect.top - 50}px`;
+  menu.style.left = `${rect.left + (rect.width / 2)}px`;
+  menu.style.transform = 'translateX(-50%)';
+
+  // One button per template picked for the menu, plus a private note and Copy
+  const actions = state.settings.commentTemplates
+    .filter((template) => template.showInMenu)
+    .map((template) => ({
+      label: template.name,
+      shortcut: template.shortcut,
+      action: () => applyCommentTemplate(template, selection)
+    }));
+  actions.push({ label: 'Note', keepOpen: true, action: () => showNoteInput(menu, selection) });
+  actions.push({ label: 'Copy', action: () => handleCopyAction(selection.text) });
+
+  actions.forEach(({ label, shortcut, keepOpen, action }) => {
+    const button = document.createElement('button');
+    button.className = 'betterframe-selection-button';
+    button.textContent = label;
+    if (shortcut) {
+      button.title = BetterFrameSettings.formatShortcut(shortcut);
+    }
+    button.onclick = () => {
+      action();
+      if (!keepOpen) {
+        menu.remove();
+        window.getSelection().removeAllRanges();
+      }
+    };
+    menu.appendChild(button);
+  });
+
+  document.body.appendChild(menu);
+}
+
+/**
+ * Turn the selection menu into a text box for a note that stays in the transcript only
+ */
+function showNoteInput(menu, selection) {
+  menu.innerHTML = '';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'betterframe-note-input';
+  input.placeholder = 'Note for this selection';
+
+  const save = document.createElement('button');
+  save.className = 'betterframe-selection-button';
+  save.textContent = 'Save';
+
+  const commit = () => {
+    const note = input.value.trim();
+    if (note) {
+      addAnnotation('note', selection, note);
+      showToast('✓ Note added to transcript');
+    }
+    menu.remove();
+    window.getSelection().removeAllRanges();
+  };
+
+  save.onclick = commit;
+  input.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+      commit();
+    } else if (e.key === 'Escape') {
+      menu.remove();
+    }
+  });
+
+  menu.appendChild(input);
+  menu.appendChild(save);
+  input.focus();
+}
+
+/**
+ * Fill a comment template from the selection, mark the transcript if the template asks to, and put the comment into Frame.io's comment box
+ */
+function applyCommentTemplate(template, selection) {
+  const comment = render(template.text, buildTemplateValues(state.currentTranscript, selection, getFrameRate()));
+  if (template.markup !== 'none') {
+    addAnnotation(template.markup, selection, template.markup === 'note' ? comment : '');
+  }
+  insertSelectionComment(comment, selection, template.name);
+}
+
+/**
+ * Handle Copy action
+ */
+function handleCopyAction(selectedText) {
+  copyToClipboard(selectedText, 'Selected text');
+}
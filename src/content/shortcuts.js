@@ -0,0 +1,101 @@
+// BetterFrame - Shortcuts
+// Keyboard shortcuts for the player
+
+import { clearLoop, closeLoopMenu, setLoopIn, setLoopOut } from './loop.js';
+import { closeSpeedMenu, handleShuttleKeydown, handleShuttleKeyup } from './playback-speed.js';
+import { closeSkipStepMenu, skipVideo, stepFrames } from './player.js';
+import { handleTemplateShortcut } from './selection.js';
+import { closeExportMenu } from './sidebar.js';
+import { state } from './state.js';
+
+/**
+ * Add keyboard shortcuts for skipping, for as long as the player controls are injected
+ */
+export function addKeyboardShortcuts() {
+  const { signal } = state.playerLifecycle;
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeSkipStepMenu();
+      closeSpeedMenu();
+      closeLoopMenu();
+      closeExportMenu();
+    }
+
+    // Only handle shortcuts when not typing in an input field
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) {
+      return;
+    }
+
+    // Bindings are looked up on every key press so changes from the popup apply immediately
+    if (handleTemplateShortcut(e)) {
+      e.preventDefault();
+      return;
+    }
+
+    if (handleShuttleKeydown(e)) {
+      e.preventDefault();
+      return;
+    }
+
+    if (BetterFrameSettings.matchesShortcut(e, state.settings.shortcuts.setLoopIn)) {
+      e.preventDefault();
+      setLoopIn();
+      return;
+    }
+    if (BetterFrameSettings.matchesShortcut(e, state.settings.shortcuts.setLoopOut)) {
+      e.preventDefault();
+      setLoopOut();
+      return;
+    }
+    if (BetterFrameSettings.matchesShortcut(e, state.settings.shortcuts.clearLoop)) {
+      e.preventDefault();
+      clearLoop();
+      return;
+    }
+
+    if (BetterFrameSettings.matchesShortcut(e, state.settings.shortcuts.frameBackward)) {
+      e.preventDefault();
+      stepFrames(-1);
+      return;
+    }
+    if (BetterFrameSettings.matchesShortcut(e, state.settings.shortcuts.frameForward)) {
+      e.preventDefault();
+      stepFrames(1);
+      return;
+    }
+
+    for (const step of state.settings.skipSteps) {
+      if (BetterFrameSettings.matchesShortcut(e, step.backwardShortcut)) {
+        e.preventDefault();
+        skipVideo(-step.seconds);
+        return;
+      }
+      if (BetterFrameSettings.matchesShortcut(e, step.forwardShortcut)) {
+        e.preventDefault();
+        skipVideo(step.seconds);
+        return;
+      }
+    }
+  }, { signal });
+
+  document.addEventListener('keyup', handleShuttleKeyup, { signal });
+
+  // Close control menus when clicking elsewhere
+  document.addEventListener('mousedown', (e) => {
+    const menus = [
+      ['betterframe-skip-menu', 'betterframe-skip-step-btn', closeSkipStepMenu],
+      ['betterframe-speed-menu', 'betterframe-speed-btn', closeSpeedMenu],
+      ['betterframe-loop-menu', 'betterframe-loop-btn', closeLoopMenu],
+      ['betterframe-export-menu', 'betterframe-export-btn', closeExportMenu]
+    ];
+
+    menus.forEach(([menuId, buttonId, close]) => {
+      const menu = document.getElementById(menuId);
+      const button = document.getElementById(buttonId);
+      if (menu && !menu.contains(e.target) && !(button && button.contains(e.target))) {
+        close();
+      }
+    });
+  }, { signal });
+}
@@ -0,0 +1,530 @@
+// BetterFrame - Sidebar
+// Transcript sidebar: segments, speakers, export menu, layout and playback highlighting
+
+import { handleAnnotationMarkerClick, renderAnnotations, toggleAnnotationsPanel } from './annotations.js';
+import { formatTimestamp } from './format.js';
+import { findVideoElement } from './player.js';
+import { createSearchBar, handleSearchMatchClick, resetSearch } from './search.js';
+import { addTextSelectionHandler } from './selection.js';
+import { state } from './state.js';
+import { showToast } from './toast.js';
+import { speakerName } from './transcript-model.js';
+import { getAssetTitle } from './transcription-client.js';
+
+const log = BetterFrameLogger.create('Transcribe');
+const cacheLog = BetterFrameLogger.create('Cache');
+const exportLog = BetterFrameLogger.create('Export');
+
+// Chip colors, assigned to speakers in the order they first speak
+const SPEAKER_COLORS = ['#2196F3', '#E91E63', '#4CAF50', '#FF9800', '#9C27B0', '#009688', '#795548', '#607D8B'];
+
+/**
+ * Get the display name for a speaker label in the open transcript
+ */
+function getSpeakerName(speaker) {
+  return speakerName(state.currentTranscript, speaker);
+}
+
+/**
+ * Get the chip color for a speaker label, stable for the open transcript
+ */
+function getSpeakerColor(speaker) {
+  const labels = Object.keys((state.currentTranscript && state.currentTranscript.speakers) || {});
+  const index = Math.max(0, labels.indexOf(speaker));
+  return SPEAKER_COLORS[index % SPEAKER_COLORS.length];
+}
+
+/**
+ * Create transcript UI as a sidebar, shown unless `visible` is false (then only its toggle button shows)
+ */
+export function createTranscriptUI(transcriptData, { visible = true } = {}) {
+  try {
+    log.debug('STEP 4: Creating transcript sidebar UI');
+
+    // Remove existing transcript if any, with its document listeners
+    state.transcriptLifecycle.abort();
+    state.transcriptLifecycle = new AbortController();
+    const existingTranscript = document.getElementById('betterframe-transcript-sidebar');
+    const existingToggle = document.getElementById('betterframe-transcript-toggle');
+    if (existingTranscript) {
+      existingTranscript.remove();
+    }
+    if (existingToggle) {
+      existingToggle.remove();
+    }
+
+    // Create transcript sidebar container
+    const sidebar = document.createElement('div');
+    sidebar.id = 'betterframe-transcript-sidebar';
+    sidebar.className = `betterframe-transcript-sidebar betterframe-sidebar-${state.settings.sidebarPosition}`;
+    sidebar.classList.toggle('hidden', !visible);
+
+    // Create header with close button
+    const header = document.createElement('div');
+    header.className = 'betterframe-transcript-header';
+
+    const title = document.createElement('h3');
+    title.textContent = 'AI Transcript';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'betterframe-transcript-close';
+    closeBtn.innerHTML = '×';
+    closeBtn.setAttribute('aria-label', 'Close transcript');
+    closeBtn.onclick = () => toggleTranscriptSidebar();
+
+    const exportBtn = document.createElement('button');
+    exportBtn.id = 'betterframe-export-btn';
+    exportBtn.className = 'betterframe-transcript-header-button';
+    exportBtn.textContent = 'Export';
+    exportBtn.setAttribute('aria-label', 'Export transcript');
+    exportBtn.setAttribute('title', 'Export transcript');
+    exportBtn.onclick = () => toggleExportMenu();
+
+    const annotationsBtn = document.createElement('button');
+    annotationsBtn.id = 'betterframe-annotations-btn';
+    annotationsBtn.className = 'betterframe-transcript-header-button';
+    annotationsBtn.textContent = 'Notes';
+    annotationsBtn.setAttribute('aria-label', 'Show notes and markup');
+    annotationsBtn.setAttribute('title', 'Show notes and markup');
+    annotationsBtn.onclick = () => toggleAnnotationsPanel();
+
+    const headerActions = document.createElement('div');
+    headerActions.className = 'betterframe-transcript-header-actions';
+    headerActions.appendChild(annotationsBtn);
+    headerActions.appendChild(exportBtn);
+    headerActions.appendChild(closeBtn);
+
+    header.appendChild(title);
+    header.appendChild(headerActions);
+    header.appendChild(createSearchBar());
+
+    // Create content area
+    const content = document.createElement('div');
+    content.className = 'betterframe-transcript-content';
+
+    log.debug('Adding', transcriptData.segments?.length || 0, 'segments to sidebar...');
+
+    state.currentTranscript = transcriptData;
+    state.transcriptWordElements = [];
+    state.currentWordElement = null;
+    resetSearch();
+
+    // Add segments with timestamps
+    if (transcriptData.segments && transcriptData.segments.length > 0) {
+      transcriptData.segments.forEach((segment, index) => {
+        const segmentEl = document.createElement('div');
+        segmentEl.className = 'betterframe-transcript-segment';
+        segmentEl.dataset.index = index;
+        segmentEl.dataset.startTime = segment.start;
+        segmentEl.dataset.endTime = segment.end;
+
+        const timestamp = document.createElement('span');
+        timestamp.className = 'betterframe-transcript-timestamp';
+        timestamp.textContent = formatTimestamp(segment.start);
+        timestamp.dataset.time = segment.start;
+
+        const text = document.createElement('span');
+        text.className = 'betterframe-transcript-text';
+        if (segment.words && segment.words.length > 0) {
+          // One span per word so selections and the playhead map to exact word timings
+          segment.words.forEach((word, wordIndex) => {
+            if (wordIndex > 0) {
+              text.appendChild(document.createTextNode(' '));
+            }
+            const wordEl = document.createElement('span');
+            wordEl.className = 'betterframe-transcript-word';
+            wordEl.dataset.index = wordIndex;
+            wordEl.dataset.start = word.start;
+            wordEl.dataset.end = word.end;
+            wordEl.textContent = word.text;
+            text.appendChild(wordEl);
+            state.transcriptWordElements.push(wordEl);
+          });
+        } else {
+          text.textContent = segment.text;
+        }
+
+        segmentEl.appendChild(timestamp);
+        if (segment.speaker) {
+          segmentEl.appendChild(createSpeakerChip(segment.speaker));
+        }
+        segmentEl.appendChild(text);
+        content.appendChild(segmentEl);
+      });
+    } else {
+      // If no segments, just show the full text
+      const textEl = document.createElement('p');
+      textEl.textContent = transcriptData.text || 'No transcription available';
+      content.appendChild(textEl);
+    }
+
+    sidebar.appendChild(header);
+    sidebar.appendChild(content);
+
+    // Insert sidebar into document body
+    document.body.appendChild(sidebar);
+
+    // Adjust page layout to make room for sidebar
+    adjustPageLayout(visible);
+
+    // Create toggle button
+    const toggleBtn = document.createElement('button');
+    toggleBtn.id = 'betterframe-transcript-toggle';
+    toggleBtn.className = `betterframe-transcript-toggle betterframe-sidebar-${state.settings.sidebarPosition}`;
+    toggleBtn.innerHTML = visible ? '✕' : '📝';
+    toggleBtn.setAttribute('aria-label', 'Toggle transcript');
+    toggleBtn.setAttribute('title', visible ? 'Hide Transcript' : 'Show Transcript');
+    toggleBtn.onclick = () => toggleTranscriptSidebar();
+
+    document.body.appendChild(toggleBtn);
+
+    log.debug('✓ Transcript sidebar created successfully!');
+    log.debug('✓ Page layout adjusted');
+    log.debug('✓ All done! Click timestamps to jump to that time.');
+
+    // Add timestamp interactivity
+    addTimestampInteractivity();
+    content.addEventListener('click', handleSearchMatchClick);
+    content.addEventListener('click', handleAnnotationMarkerClick);
+    renderAnnotations();
+
+  } catch (error) {
+    log.error('Error creating transcript UI:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create the colored speaker chip shown on a segment; click it to rename the speaker
+ */
+function createSpeakerChip(speaker) {
+  const chip = document.createElement('button');
+  chip.className = 'betterframe-speaker-chip';
+  chip.dataset.speaker = speaker;
+  chip.textContent = getSpeakerName(speaker);
+  chip.style.setProperty('--betterframe-speaker-color', getSpeakerColor(speaker));
+  chip.setAttribute('title', 'Rename speaker');
+  chip.onclick = (event) => {
+    event.stopPropagation();
+    startSpeakerRename(chip);
+  };
+  return chip;
+}
+
+/**
+ * Swap a speaker chip for an inline name input.
+ * Enter or blur saves the name, Escape cancels.
+ */
+function startSpeakerRename(chip) {
+  const speaker = chip.dataset.speaker;
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'betterframe-speaker-input';
+  input.value = getSpeakerName(speaker);
+  input.style.setProperty('--betterframe-speaker-color', getSpeakerColor(speaker));
+
+  let finished = false;
+  const finish = (save) => {
+    if (finished) return;
+    finished = true;
+    input.replaceWith(chip);
+    if (save) {
+      renameSpeaker(speaker, input.value);
+    }
+  };
+
+  input.addEventListener('keydown', (event) => {
+    event.stopPropagation();
+    if (event.key === 'Enter') {
+      finish(true);
+    } else if (event.key === 'Escape') {
+      finish(false);
+    }
+  });
+  input.addEventListener('blur', () => finish(true));
+
+  chip.replaceWith(input);
+  input.focus();
+  input.select();
+}
+
+/**
+ * Rename a speaker everywhere in the open transcript and save the name with the cached copy
+ */
+async function renameSpeaker(speaker, name) {
+  const trimmed = name.trim();
+  if (!state.currentTranscript || !trimmed || trimmed === getSpeakerName(speaker)) return;
+
+  state.currentTranscript.speakers = { ...state.currentTranscript.speakers, [speaker]: trimmed };
+  document.querySelectorAll(`.betterframe-speaker-chip[data-speaker="${CSS.escape(speaker)}"]`).forEach((chip) => {
+    chip.textContent = trimmed;
+  });
+  log.info(`Renamed speaker ${speaker} to "${trimmed}"`);
+
+  const assetKey = BetterFrameTranscriptCache.getAssetKey(location.href);
+  if (!assetKey) return;
+  try {
+    await BetterFrameTranscriptCache.update(assetKey, { speakers: state.currentTranscript.speakers });
+  } catch (error) {
+    cacheLog.warn('Could not save speaker names:', error);
+  }
+}
+
+/**
+ * Download the open transcript in one of BetterFrameTranscriptExport's formats
+ */
+function downloadTranscript(format) {
+  if (!state.currentTranscript) return;
+
+  const title = getAssetTitle();
+  const details = { title: title, url: location.href };
+  const { content, extension, mimeType } = BetterFrameTranscriptExport.exportTranscript(state.currentTranscript, format, details);
+
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${title.replace(/[\\/:*?"<>|]+/g, '_') || 'transcript'}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  exportLog.info(`✓ Downloaded ${link.download} (${content.length} characters)`);
+  showToast(`✓ Exported ${link.download}`);
+}
+
+/**
+ * Close the transcript export menu if it is open
+ */
+export function closeExportMenu() {
+  const menu = document.getElementById('betterframe-export-menu');
+  if (menu) {
+    menu.remove();
+  }
+}
+
+/**
+ * Open (or close) the export format menu under the sidebar's Export button
+ */
+function toggleExportMenu() {
+  if (document.getElementById('betterframe-export-menu')) {
+    closeExportMenu();
+    return;
+  }
+
+  const exportButton = document.getElementById('betterframe-export-btn');
+  if (!exportButton) return;
+
+  const menu = document.createElement('div');
+  menu.id = 'betterframe-export-menu';
+  menu.className = 'betterframe-control-menu betterframe-export-menu';
+
+  Object.entries(BetterFrameTranscriptExport.FORMATS).forEach(([format, { label }]) => {
+    const item = document.createElement('div');
+    item.className = 'betterframe-control-menu-item';
+    item.textContent = label;
+    item.onclick = () => {
+      closeExportMenu();
+      downloadTranscript(format);
+    };
+    menu.appendChild(item);
+  });
+
+  // Open downwards, since the button sits at the top of the sidebar
+  const rect = exportButton.getBoundingClientRect();
+  menu.style.left = `${rect.left + (rect.width / 2)}px`;
+  menu.style.top = `${rect.bottom + 8}px`;
+
+  document.body.appendChild(menu);
+}
+
+/**
+ * Adjust page layout to make room for sidebar
+ */
+export function adjustPageLayout(sidebarVisible) {
+  // The ReviewLinkPlayer container holds the video, comments and everything else
+  const playerContainer = BetterFrameSelectors.find('playerContainer');
+
+  if (playerContainer) {
+    const side = state.settings.sidebarPosition === 'right' ? 'marginRight' : 'marginLeft';
+    const otherSide = side === 'marginRight' ? 'marginLeft' : 'marginRight';
+    playerContainer.style[otherSide] = '0px';
+
+    if (sidebarVisible) {
+      // Push the entire player container (video + comments + everything) away from the sidebar
+      playerContainer.style[side] = '400px';
+      playerContainer.style.transition = 'margin 0.3s ease';
+      log.debug(`✓ Adjusted page layout - made room for ${state.settings.sidebarPosition} sidebar`);
+    } else {
+      // Reset to original position
+      playerContainer.style[side] = '0px';
+      log.debug('✓ Reset page layout to original position');
+    }
+  } else {
+    log.warn('⚠ Could not find ReviewLinkPlayer container to adjust layout');
+    log.warn('⚠ Sidebar will overlay content instead of pushing it');
+  }
+}
+
+/**
+ * Toggle transcript sidebar visibility
+ */
+function toggleTranscriptSidebar() {
+  const sidebar = document.getElementById('betterframe-transcript-sidebar');
+  const toggleBtn = document.getElementById('betterframe-transcript-toggle');
+
+  if (sidebar) {
+    const isHidden = sidebar.classList.contains('hidden');
+    sidebar.classList.toggle('hidden');
+
+    // Adjust page layout
+    adjustPageLayout(!isHidden ? false : true);
+
+    // Update toggle button
+    if (toggleBtn) {
+      if (sidebar.classList.contains('hidden')) {
+        toggleBtn.innerHTML = '📝';
+        toggleBtn.setAttribute('title', 'Show Transcript');
+      } else {
+        toggleBtn.innerHTML = '✕';
+        toggleBtn.setAttribute('title', 'Hide Transcript');
+      }
+    }
+  }
+}
+
+/**
+ * Move an existing sidebar and its toggle to the configured side of the page
+ */
+export function applySidebarPosition() {
+  const sidebar = document.getElementById('betterframe-transcript-sidebar');
+  const toggleBtn = document.getElementById('betterframe-transcript-toggle');
+
+  [sidebar, toggleBtn].forEach((element) => {
+    if (element) {
+      element.classList.remove('betterframe-sidebar-left', 'betterframe-sidebar-right');
+      element.classList.add(`betterframe-sidebar-${state.settings.sidebarPosition}`);
+    }
+  });
+
+  if (sidebar) {
+    adjustPageLayout(!sidebar.classList.contains('hidden'));
+  }
+}
+
+/**
+ * Add timestamp interactivity (hover and click)
+ */
+function addTimestampInteractivity() {
+  try {
+    log.debug('Adding timestamp interactivity...');
+
+    const segments = document.querySelectorAll('.betterframe-transcript-segment');
+
+    segments.forEach((segment) => {
+      const timestamp = segment.querySelector('.betterframe-transcript-timestamp');
+      const startTime = parseFloat(segment.dataset.startTime);
+
+      // Hover effect
+      segment.addEventListener('mouseenter', () => {
+        segment.classList.add('betterframe-transcript-segment-hover');
+      });
+
+      segment.addEventListener('mouseleave', () => {
+        segment.classList.remove('betterframe-transcript-segment-hover');
+      });
+
+      // Click to jump to timestamp
+      timestamp.addEventListener('click', () => jumpToSegment(segment, startTime));
+    });
+
+    log.debug(`Added interactivity to ${segments.length} segments`);
+
+    // Add text selection handler
+    addTextSelectionHandler();
+  } catch (error) {
+    log.error('Error adding timestamp interactivity:', error);
+  }
+}
+
+/**
+ * Seek the video to a time inside a segment and briefly mark the segment
+ */
+export function jumpToSegment(segment, time) {
+  const video = findVideoElement();
+  if (!video) return;
+
+  log.debug(`Jumping to timestamp: ${time}s`);
+  video.currentTime = time;
+  segment.classList.add('betterframe-transcript-segment-active');
+
+  // Remove active class after 2 seconds
+  setTimeout(() => {
+    segment.classList.remove('betterframe-transcript-segment-active');
+  }, 2000);
+}
+
+/**
+ * Update the highlighted segment based on current video time
+ */
+export function updateCurrentSegmentHighlight(currentTime) {
+  const segments = document.querySelectorAll('.betterframe-transcript-segment');
+  const transcriptContent = document.querySelector('.betterframe-transcript-content');
+
+  segments.forEach((segment) => {
+    const startTime = parseFloat(segment.dataset.startTime);
+    const endTime = parseFloat(segment.dataset.endTime);
+
+    // Check if current time is within this segment's range
+    if (currentTime >= startTime && currentTime < endTime) {
+      segment.classList.add('betterframe-transcript-segment-playing');
+
+      // Auto-scroll to keep the playing segment visible
+      if (transcriptContent) {
+        const segmentTop = segment.offsetTop;
+        const segmentHeight = segment.offsetHeight;
+        const contentScrollTop = transcriptContent.scrollTop;
+        const contentHeight = transcriptContent.clientHeight;
+
+        // Scroll if segment is not fully visible
+        if (segmentTop < contentScrollTop || segmentTop + segmentHeight > contentScrollTop + contentHeight) {
+          segment.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+      }
+    } else {
+      segment.classList.remove('betterframe-transcript-segment-playing');
+    }
+  });
+}
+
+/**
+ * Highlight the word being spoken at the given time (binary search over the word spans)
+ */
+export function updateCurrentWordHighlight(currentTime) {
+  let low = 0;
+  let high = state.transcriptWordElements.length - 1;
+  let found = null;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const wordEl = state.transcriptWordElements[middle];
+    if (currentTime < parseFloat(wordEl.dataset.start)) {
+      high = middle - 1;
+    } else if (currentTime >= parseFloat(wordEl.dataset.end)) {
+      low = middle + 1;
+    } else {
+      found = wordEl;
+      break;
+    }
+  }
+
+  if (found === state.currentWordElement) return;
+  if (state.currentWordElement) {
+    state.currentWordElement.classList.remove('betterframe-transcript-word-current');
+  }
+  if (found) {
+    found.classList.add('betterframe-transcript-word-current');
+  }
+  state.currentWordElement = found;
+}
@@ -0,0 +1,22 @@
+// BetterFrame - Content Script State
+// State shared by several content script modules. Module-private state stays in its own module.
+
+// Configuration
+export const CHECK_INTERVAL = 1000; // Check every 1 second for player until it first appears
+
+export const state = {
+  buttonsInjected: false,
+
+  // Injection lifecycle: listeners are registered with one of these signals so a teardown removes them in one go.
+  // The player's lives until Frame.io replaces the video or navigates; the transcript's until the sidebar is rebuilt.
+  playerLifecycle: new AbortController(),
+  transcriptLifecycle: new AbortController(),
+
+  // Transcript shown in the sidebar and its word spans, in time order
+  currentTranscript: null,
+  transcriptWordElements: [],
+  currentWordElement: null,
+
+  // User settings (see settings.js); replaced once storage has loaded
+  settings: BetterFrameSettings.getDefaults()
+};
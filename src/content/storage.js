@@ -0,0 +1,56 @@
+// BetterFrame - Storage
+// Settings from chrome.storage and transcripts from the transcript cache
+
+import { applyPlaybackSpeed } from './playback-speed.js';
+import { updateSkipButtons, updateTimecodeDisplay } from './player.js';
+import { applySidebarPosition } from './sidebar.js';
+import { state } from './state.js';
+
+const log = BetterFrameLogger.create('Settings');
+const cacheLog = BetterFrameLogger.create('Cache');
+
+/**
+ * Look up the cached transcript for an asset, treating cache errors as a miss
+ */
+export async function loadCachedTranscript(assetKey) {
+  try {
+    return await BetterFrameTranscriptCache.get(assetKey);
+  } catch (error) {
+    cacheLog.warn('Could not read transcript cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Load settings and keep them in sync with changes made in the popup
+ */
+export function initSettings() {
+  BetterFrameSettings.load().then((loaded) => {
+    state.settings = loaded;
+    updateSkipButtons();
+    applySidebarPosition();
+    updateTimecodeDisplay();
+    applyPlaybackSpeed();
+    log.debug('Settings loaded');
+  }).catch((error) => {
+    log.error('Falling back to default settings:', error);
+  });
+
+  BetterFrameSettings.onChange((changed) => {
+    state.settings = { ...state.settings, ...changed };
+    log.debug('Settings updated:', Object.keys(changed).join(', '));
+
+    if ('skipSteps' in changed || 'activeSkipSeconds' in changed) {
+      updateSkipButtons();
+    }
+    if ('sidebarPosition' in changed) {
+      applySidebarPosition();
+    }
+    if ('frameRate' in changed) {
+      updateTimecodeDisplay();
+    }
+    if ('playbackRate' in changed || 'preservesPitch' in changed) {
+      applyPlaybackSpeed();
+    }
+  });
+}
@@ -0,0 +1,27 @@
+// BetterFrame - Toast
+// Toast notifications
+
+/**
+ * Show a toast notification
+ */
+export function showToast(message, isError = false) {
+  // Remove existing toast
+  const existingToast = document.getElementById('betterframe-toast');
+  if (existingToast) {
+    existingToast.remove();
+  }
+
+  // Create toast element
+  const toast = document.createElement('div');
+  toast.id = 'betterframe-toast';
+  toast.className = `betterframe-toast ${isError ? 'betterframe-toast-error' : ''}`;
+  toast.textContent = message;
+
+  document.body.appendChild(toast);
+
+  // Auto-remove after 3 seconds
+  setTimeout(() => {
+    toast.classList.add('betterframe-toast-fade-out');
+    setTimeout(() => toast.remove(), 300);
+  }, 3000);
+}
@@ -0,0 +1,154 @@
+// BetterFrame - Transcript Model
+// Transcript data: segmentation, word lookup and template values.
+// No DOM, extension APIs or logging, so it runs under Node too.
+
+import { formatTimecode, formatTimestamp } from './format.js';
+
+/**
+ * Add a provider word's position in the whole transcript to it.
+ * Providers already normalize words to { text, start, end, confidence, speaker } in seconds.
+ */
+function normalizeWord(word, index) {
+  return {
+    index: index,
+    text: word.text,
+    start: word.start,
+    end: word.end,
+    confidence: typeof word.confidence === 'number' ? word.confidence : null,
+    speaker: word.speaker || null
+  };
+}
+
+/**
+ * Convert provider words to segments (group by sentences/pauses/speaker changes).
+ * Each segment keeps its full word array with per-word timing and confidence.
+ */
+export function convertWordsToSegments(words) {
+  if (!words || words.length === 0) {
+    return [];
+  }
+
+  const segments = [];
+  let currentWords = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const word = normalizeWord(words[i], i);
+    currentWords.push(word);
+
+    // Check if we should start a new segment
+    // (after punctuation, if there's a pause > 1 second, or when someone else starts talking)
+    const isPunctuation = /[.!?]$/.test(word.text);
+    const nextWordGap = i < words.length - 1 ? (words[i + 1].start - word.end) : 0;
+    const speakerChanges = i < words.length - 1 && (words[i + 1].speaker || null) !== word.speaker;
+    const shouldBreak = isPunctuation || nextWordGap > 1.0 || speakerChanges;
+
+    if (shouldBreak || i === words.length - 1) {
+      segments.push({
+        start: currentWords[0].start,
+        end: word.end,
+        text: currentWords.map((w) => w.text).join(' '),
+        speaker: currentWords[0].speaker,
+        words: currentWords
+      });
+      currentWords = [];
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Make sure a transcript has word-level segments and a speaker name map.
+ * Transcripts cached before segments carried words are rebuilt from their raw AssemblyAI word list (times in ms).
+ */
+export function ensureWordLevelSegments(transcript) {
+  const segments = transcript.segments || [];
+  const hasWords = segments.length > 0 && segments.every((segment) => Array.isArray(segment.words));
+
+  let result = transcript;
+  if (!hasWords && Array.isArray(transcript.words) && transcript.words.length > 0) {
+    const words = transcript.words.map((word) => ({ ...word, start: word.start / 1000, end: word.end / 1000 }));
+    result = { ...transcript, segments: convertWordsToSegments(words) };
+  }
+  return { ...result, speakers: collectSpeakers(result.segments || [], result.speakers || {}) };
+}
+
+/**
+ * Build the speaker name map for a transcript, keeping names the user already chose.
+ * Labels without a saved name default to "Speaker A", "Speaker B", ...
+ */
+function collectSpeakers(segments, existingNames = {}) {
+  const speakers = {};
+  for (const segment of segments) {
+    if (segment.speaker && !speakers[segment.speaker]) {
+      speakers[segment.speaker] = existingNames[segment.speaker] || `Speaker ${segment.speaker}`;
+    }
+  }
+  return speakers;
+}
+
+/**
+ * Turn a finished job's normalized provider result ({ transcriptId, text, words }) into a transcript
+ */
+export function buildTranscript(result, providerId) {
+  // Group the provider's words into segments
+  const segments = convertWordsToSegments(result.words);
+
+  return {
+    provider: providerId,
+    transcriptId: result.transcriptId,
+    text: result.text,
+    segments: segments,
+    speakers: collectSpeakers(segments)
+  };
+}
+
+/**
+ * Join words, wrapping the selected slice in [] (an empty slice becomes "[ ]")
+ */
+export function markSelectedWords(words, startIndex, endIndex, offset = 0) {
+  const parts = words.map((word) => word.text);
+  const relativeStart = startIndex - offset;
+  const relativeEnd = endIndex - offset;
+
+  if (relativeStart === relativeEnd) {
+    parts.splice(relativeStart, 0, '[ ]');
+    return parts.join(' ');
+  }
+
+  parts[relativeStart] = `[${parts[relativeStart]}`;
+  parts[relativeEnd - 1] = `${parts[relativeEnd - 1]}]`;
+  return parts.join(' ');
+}
+
+/**
+ * Get the display name for a speaker label: the name given in the transcript, or "Speaker A"
+ */
+export function speakerName(transcript, speaker) {
+  if (!speaker) return '';
+  return (transcript && transcript.speakers && transcript.speakers[speaker]) || `Speaker ${speaker}`;
+}
+
+/**
+ * Get the values for every template placeholder from a selection in the transcript
+ */
+export function buildTemplateValues(transcript, selection, fps) {
+  // 4 words before and 3 after give enough context to find the spot, even across segment boundaries
+  const allWords = transcript.segments.flatMap((segment) => segment.words || []);
+  const selectedStart = selection.offset + selection.startIndex;
+  const selectedEnd = selection.offset + selection.endIndex;
+  const contextStart = Math.max(0, selectedStart - 4);
+  const contextEnd = Math.min(allWords.length, selectedEnd + 3);
+
+  // Everyone speaking in the selected segments, in order of appearance
+  const speakers = [...new Set(selection.segments.map((segment) => segment.speaker).filter(Boolean))];
+
+  return {
+    selection: selection.text,
+    context: markSelectedWords(allWords.slice(contextStart, contextEnd), selectedStart, selectedEnd, contextStart),
+    segment: markSelectedWords(selection.words, selection.startIndex, selection.endIndex),
+    timestamp: formatTimestamp(selection.start),
+    range: `${formatTimecode(selection.start, fps)} – ${formatTimecode(selection.end, fps)}`,
+    speaker: speakers.map((label) => speakerName(transcript, label)).join(' & ')
+  };
+}
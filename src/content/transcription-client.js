@@ -0,0 +1,411 @@
+// BetterFrame - Transcription Client
+// Transcription jobs run by the background worker: starting, progress panel and results
+
+import { batchAssets, updateBatchRow } from './batch.js';
+import { formatFileSize } from '../shared/file-size.js';
+import { formatElapsed, formatTimestamp } from './format.js';
+import { getVideoSource } from './player.js';
+import { createTranscriptUI } from './sidebar.js';
+import { loadCachedTranscript } from './storage.js';
+import { showToast } from './toast.js';
+import { buildTranscript, ensureWordLevelSegments } from './transcript-model.js';
+
+const log = BetterFrameLogger.create('Transcribe');
+const cacheLog = BetterFrameLogger.create('Cache');
+
+// Latest state of this asset's transcription job in the background worker (see background.js)
+let transcriptionJob = null;
+let progressTimer = null;
+const completedJobIds = new Set();
+// Finished jobs whose transcript could not be cached (job id -> { job, transcript, details }), for Retry
+const uncachedTranscripts = new Map();
+
+/**
+ * Send a message to the transcription job API in background.js, rejecting on failure
+ */
+export async function sendJobMessage(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response || !response.ok) {
+    throw new Error(response ? response.error : 'The BetterFrame background worker did not respond');
+  }
+  return response;
+}
+
+/**
+ * Forget the job of the asset being left; the background worker keeps running it
+ */
+export function resetTranscriptionJob() {
+  transcriptionJob = null;
+}
+
+/**
+ * Whether a job is still waiting in the queue or running
+ */
+export function isJobActive(job) {
+  return job.status === 'running' || job.status === 'queued';
+}
+
+/**
+ * Describe the job's current stage, with bytes for downloads/uploads and elapsed time for waits
+ */
+export function describeProgress(job) {
+  const { stage, loaded, total, stageStartedAt } = job.progress;
+  const providerLabel = job.providerLabel || 'provider';
+
+  switch (stage) {
+    case 'download':
+    case 'upload': {
+      const label = stage === 'download' ? 'Downloading video' : `Uploading to ${providerLabel}`;
+      if (!loaded) return `${label}...`;
+      return total
+        ? `${label}: ${formatFileSize(loaded)} of ${formatFileSize(total)} (${Math.floor(loaded / total * 100)}%)`
+        : `${label}: ${formatFileSize(loaded)}`;
+    }
+    case 'waiting':
+      return 'Waiting for other transcriptions...';
+    case 'resolve':
+      return 'Opening the asset to find its video...';
+    case 'extract':
+      return 'Extracting audio...';
+    case 'queued':
+      return `Queued at ${providerLabel} · ${formatElapsed(Date.now() - stageStartedAt)}`;
+    case 'processing':
+      return `Transcribing · ${formatElapsed(Date.now() - stageStartedAt)}`;
+    case 'done':
+      return '✓ Transcription complete';
+    case 'failed':
+      return `✗ ${job.progress.error}`;
+    default:
+      return 'Starting transcription...';
+  }
+}
+
+/**
+ * Create or update the transcription progress panel for the current job
+ */
+function renderProgressPanel() {
+  const job = transcriptionJob;
+  if (!job) return;
+
+  let panel = document.getElementById('betterframe-progress');
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.id = 'betterframe-progress';
+    panel.className = 'betterframe-progress';
+    panel.innerHTML = `
+      <div class="betterframe-progress-header">
+        <span class="betterframe-progress-title">Transcription</span>
+        <span class="betterframe-progress-elapsed"></span>
+      </div>
+      <div class="betterframe-progress-status"></div>
+      <div class="betterframe-progress-bar"><div class="betterframe-progress-fill"></div></div>
+      <div class="betterframe-progress-note"></div>
+      <div class="betterframe-progress-actions"></div>
+    `;
+    document.body.appendChild(panel);
+  }
+
+  const { stage, loaded, total, note } = job.progress;
+  const mode = isJobActive(job) ? 'running' : stage;
+
+  panel.querySelector('.betterframe-progress-elapsed').textContent = formatElapsed(Date.now() - job.startedAt);
+  panel.querySelector('.betterframe-progress-status').textContent = describeProgress(job);
+  panel.querySelector('.betterframe-progress-note').textContent = note || '';
+  panel.classList.toggle('betterframe-progress-failed', stage === 'failed');
+
+  // Bytes fill the bar; waits without a byte count show an indeterminate bar
+  const bar = panel.querySelector('.betterframe-progress-bar');
+  const determinate = Boolean(total) && (stage === 'download' || stage === 'upload');
+  bar.style.display = mode === 'running' ? '' : 'none';
+  bar.classList.toggle('betterframe-progress-indeterminate', !determinate);
+  panel.querySelector('.betterframe-progress-fill').style.width = determinate ? `${Math.min(100, loaded / total * 100)}%` : '';
+
+  // Only rebuild the buttons when the panel switches between running/failed/done
+  if (panel.dataset.mode !== mode) {
+    panel.dataset.mode = mode;
+    const actions = panel.querySelector('.betterframe-progress-actions');
+    actions.innerHTML = '';
+
+    const addAction = (label, onClick) => {
+      const button = document.createElement('button');
+      button.className = 'betterframe-progress-button';
+      button.textContent = label;
+      button.onclick = onClick;
+      actions.appendChild(button);
+    };
+
+    if (mode === 'running') {
+      addAction('Cancel', cancelTranscription);
+    } else if (mode === 'failed') {
+      addAction('Retry', retryTranscription);
+      addAction('Dismiss', dismissTranscription);
+    }
+  }
+}
+
+/**
+ * Remove the progress panel and stop its elapsed-time ticker
+ */
+export function closeProgressPanel() {
+  clearInterval(progressTimer);
+  progressTimer = null;
+  const panel = document.getElementById('betterframe-progress');
+  if (panel) {
+    panel.remove();
+  }
+}
+
+/**
+ * Show a job update from the background worker if it is for the asset in this tab
+ */
+export function handleJobUpdate(job) {
+  if (job.assetKey !== BetterFrameTranscriptCache.getAssetKey(location.href)) return;
+
+  if (job.status === 'cancelled') {
+    transcriptionJob = null;
+    closeProgressPanel();
+    setTranscribeButtonBusy(false);
+    showToast('Transcription cancelled');
+    return;
+  }
+
+  transcriptionJob = job;
+  renderProgressPanel();
+  setTranscribeButtonBusy(isJobActive(job));
+
+  // Keep the elapsed times ticking between updates while the job runs
+  if (isJobActive(job) && !progressTimer) {
+    progressTimer = setInterval(renderProgressPanel, 1000);
+  } else if (!isJobActive(job)) {
+    clearInterval(progressTimer);
+    progressTimer = null;
+  }
+}
+
+/**
+ * Show and cache a finished job's transcript, then let the background worker drop it.
+ * Batch results for assets not open in this tab are only cached, ready for when the asset is opened.
+ */
+export async function handleJobComplete(job, result) {
+  const isCurrentAsset = job.assetKey === BetterFrameTranscriptCache.getAssetKey(location.href);
+  const batchAsset = batchAssets && batchAssets.get(job.assetKey);
+  if (!isCurrentAsset && !batchAsset) return;
+  // The result can arrive both as a broadcast and as the answer to job:get
+  if (completedJobIds.has(job.id)) return;
+  completedJobIds.add(job.id);
+
+  const transcript = buildTranscript(result, job.providerId);
+  log.debug(`Built ${transcript.segments.length} segments from ${(result.words || []).length} words`);
+  transcript.segments.slice(0, 5).forEach((segment, i) => {
+    log.debug(` ${i + 1}. [${formatTimestamp(segment.start)}] ${segment.text}`);
+  });
+  if (isCurrentAsset) {
+    createTranscriptUI(transcript);
+  }
+
+  await saveJobTranscript(job, transcript, {
+    title: isCurrentAsset ? getAssetTitle() : batchAsset.title,
+    url: isCurrentAsset ? location.href : batchAsset.url
+  });
+}
+
+/**
+ * Cache a finished job's transcript and only then let the background worker drop its copy, the only other one.
+ * If caching fails the job is shown as failed: Retry saves the transcript again, and reopening the asset
+ * delivers it again from the worker.
+ */
+async function saveJobTranscript(job, transcript, details) {
+  const isCurrentAsset = job.assetKey === BetterFrameTranscriptCache.getAssetKey(location.href);
+  const batchAsset = batchAssets && batchAssets.get(job.assetKey);
+
+  try {
+    await BetterFrameTranscriptCache.put(job.assetKey, transcript, details);
+  } catch (error) {
+    cacheLog.error('Could not cache transcript:', error);
+    completedJobIds.delete(job.id);
+    uncachedTranscripts.set(job.id, { job, transcript, details });
+
+    const failedJob = {
+      ...job,
+      status: 'failed',
+      progress: { ...job.progress, stage: 'failed', error: `Could not save the transcript: ${error.message}` }
+    };
+    if (batchAsset) {
+      updateBatchRow(failedJob);
+    }
+    if (isCurrentAsset) {
+      handleJobUpdate(failedJob);
+    }
+    showToast(`✗ Could not save the transcript of "${job.title}": ${error.message}`, true);
+    return;
+  }
+
+  uncachedTranscripts.delete(job.id);
+  completedJobIds.add(job.id);
+  if (batchAsset) {
+    batchAsset.cached = true;
+    updateBatchRow(job);
+  }
+  sendJobMessage({ type: 'job:dismiss', jobId: job.id }).catch((error) => {
+    log.warn('Could not clear finished job:', error);
+  });
+
+  log.info(`=== Transcription of "${job.title}" completed successfully ===`);
+  if (!isCurrentAsset) return;
+  handleJobUpdate(job);
+  setTimeout(() => {
+    if (transcriptionJob && transcriptionJob.id === job.id) {
+      transcriptionJob = null;
+      closeProgressPanel();
+    }
+  }, 2000);
+}
+
+/**
+ * Re-attach to a job for this asset after a reload or SPA navigation
+ */
+export async function resumeTranscriptionJob() {
+  const assetKey = BetterFrameTranscriptCache.getAssetKey(location.href);
+  if (!assetKey) return;
+
+  try {
+    const { job, result } = await sendJobMessage({ type: 'job:get', assetKey: assetKey });
+    if (!job) return;
+    log.info(`Found ${job.status} transcription job for this asset`);
+    if (job.status === 'completed') {
+      handleJobComplete(job, result);
+    } else {
+      handleJobUpdate(job);
+    }
+  } catch (error) {
+    log.warn('Could not check for a running transcription:', error);
+  }
+}
+
+/**
+ * Ask the background worker to abort the running job
+ */
+function cancelTranscription() {
+  if (transcriptionJob && isJobActive(transcriptionJob)) {
+    log.info('Cancelling transcription...');
+    sendJobMessage({ type: 'job:cancel', jobId: transcriptionJob.id }).catch((error) => {
+      showToast(`✗ Could not cancel: ${error.message}`, true);
+    });
+  }
+}
+
+/**
+ * Run the failed job again from its last completed step, or only save its transcript again if caching failed
+ */
+function retryTranscription() {
+  const uncached = transcriptionJob && uncachedTranscripts.get(transcriptionJob.id);
+  if (uncached) {
+    saveJobTranscript(uncached.job, uncached.transcript, uncached.details);
+  } else if (transcriptionJob && transcriptionJob.status === 'failed') {
+    sendJobMessage({ type: 'job:retry', jobId: transcriptionJob.id }).catch((error) => {
+      showToast(`✗ Could not retry: ${error.message}`, true);
+    });
+  }
+}
+
+/**
+ * Give up on a failed job and free its media
+ */
+function dismissTranscription() {
+  if (transcriptionJob && transcriptionJob.status === 'failed') {
+    sendJobMessage({ type: 'job:dismiss', jobId: transcriptionJob.id }).catch(() => {});
+    uncachedTranscripts.delete(transcriptionJob.id);
+    transcriptionJob = null;
+    closeProgressPanel();
+  }
+}
+
+/**
+ * Get a readable name for the current asset from the page title
+ */
+export function getAssetTitle() {
+  return document.title.replace(/\s*[|–-]\s*Frame\.io\s*$/i, '').trim() || location.pathname;
+}
+
+/**
+ * Mark the transcribe button when this asset already has a cached transcript
+ */
+export async function updateTranscribeButtonState() {
+  const transcribeBtn = document.getElementById('betterframe-transcribe-btn');
+  const assetKey = BetterFrameTranscriptCache.getAssetKey(location.href);
+  if (!transcribeBtn || !assetKey) return;
+
+  const cached = await loadCachedTranscript(assetKey);
+  const label = cached ? 'Open cached transcript' : 'Transcribe video with AI';
+  transcribeBtn.classList.toggle('betterframe-has-transcript', Boolean(cached));
+  transcribeBtn.setAttribute('aria-label', label);
+  transcribeBtn.setAttribute('title', label);
+}
+
+/**
+ * Disable the transcribe button while a transcription is running
+ */
+function setTranscribeButtonBusy(busy) {
+  const transcribeBtn = document.getElementById('betterframe-transcribe-btn');
+  if (!transcribeBtn) return;
+
+  transcribeBtn.style.opacity = busy ? '0.5' : '1';
+  transcribeBtn.style.pointerEvents = busy ? 'none' : 'auto';
+  if (busy) {
+    transcribeBtn.setAttribute('title', 'Transcribing...');
+  } else {
+    updateTranscribeButtonState();
+  }
+}
+
+/**
+ * Main transcribe handler.
+ * Opens the cached transcript for this asset unless `force` asks for a fresh one,
+ * otherwise starts a transcription job in the background worker.
+ */
+export async function handleTranscribe(force = false) {
+  const assetKey = BetterFrameTranscriptCache.getAssetKey(location.href);
+
+  if (transcriptionJob && isJobActive(transcriptionJob)) {
+    showToast('A transcription is already running');
+    return;
+  }
+
+  // Reopen a previous transcript instantly
+  if (!force && assetKey) {
+    const cached = await loadCachedTranscript(assetKey);
+    if (cached) {
+      log.info('Using cached transcript for', assetKey);
+      createTranscriptUI(ensureWordLevelSegments(cached));
+      showToast(`✓ Opened transcript from ${new Date(cached.updatedAt).toLocaleString()}`);
+      return;
+    }
+  }
+
+  try {
+    log.info('=== Starting transcription process ===');
+    if (!assetKey) {
+      throw new Error('Could not tell which Frame.io asset this page shows');
+    }
+
+    const videoUrl = getVideoSource();
+    if (videoUrl.startsWith('blob:')) {
+      throw new Error('This video is streamed by the player and cannot be downloaded for transcription');
+    }
+
+    // A new job replaces any failed one waiting for Retry
+    closeProgressPanel();
+    const { job } = await sendJobMessage({
+      type: 'job:start',
+      assetKey: assetKey,
+      title: getAssetTitle(),
+      url: location.href,
+      videoUrl: videoUrl
+    });
+    handleJobUpdate(job);
+  } catch (error) {
+    log.error('=== Transcription failed to start ===');
+    log.error('Error:', error.message);
+    showToast(`✗ Transcription failed: ${error.message}`, true);
+  }
+}
@@ -0,0 +1,92 @@
+// BetterFrame - Comment Templates
+// Placeholder rendering and JSON import/export for the selection menu's comment templates.
+// Imported by the content script; built to BetterFrameCommentTemplates for the popup.
+
+const EXPORT_FORMAT = 'betterframe-comment-templates';
+const EXPORT_VERSION = 1;
+
+/**
+ * Placeholders a template can use, with the help text shown in the popup
+ */
+export const PLACEHOLDERS = {
+  selection: 'The selected text',
+  context: 'A few words around the selection, with the selection in []',
+  segment: 'Every transcript segment the selection touches, with the selection in []',
+  timestamp: 'Time of the first selected word, e.g. 1:23',
+  range: 'In and out timecode of the selection, e.g. 00:01:23:04 – 00:01:25:10',
+  speaker: 'Speaker name (names joined with & when the selection crosses speakers); "{speaker}: " disappears when the transcript has no speakers'
+};
+
+/**
+ * What a template can mark in the transcript when it is applied, with its label in the popup
+ */
+export const MARKUP_TYPES = {
+  none: 'Nothing',
+  delete: 'Strike through',
+  pause: 'Pause marker',
+  unclear: 'Unclear highlight',
+  note: 'Note'
+};
+
+/**
+ * Fill a template's placeholders. Unknown placeholders are left as typed.
+ */
+export function render(text, values) {
+  // Drop the speaker together with its ": " separator when there is no speaker
+  const withSpeaker = values.speaker ? text : text.replace(/\{speaker\}(:\s?)?/g, '');
+  return withSpeaker.replace(/\{(\w+)\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(PLACEHOLDERS, name) ? String(values[name] ?? '') : match
+  ));
+}
+
+/**
+ * Create a unique template id
+ */
+export function createId() {
+  return `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Serialize templates to the JSON file offered by "Export"
+ */
+export function exportTemplates(templates) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    templates: templates.map(({ name, text, showInMenu, shortcut, markup }) => ({ name, text, showInMenu, shortcut, markup }))
+  }, null, 2) + '\n';
+}
+
+/**
+ * Read templates from an exported JSON file (or a bare array of templates).
+ * Every imported template gets a fresh id; throws when the file holds no usable template.
+ */
+export function parseImport(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const items = Array.isArray(data) ? data : data && data.templates;
+  if (!Array.isArray(items)) {
+    throw new Error('The file does not contain comment templates');
+  }
+
+  const templates = items
+    .filter((item) => item && typeof item.name === 'string' && typeof item.text === 'string')
+    .map((item) => ({
+      id: createId(),
+      name: item.name.trim() || 'Template',
+      text: item.text,
+      showInMenu: item.showInMenu !== false,
+      shortcut: typeof item.shortcut === 'string' ? item.shortcut : '',
+      markup: Object.prototype.hasOwnProperty.call(MARKUP_TYPES, item.markup) ? item.markup : 'none'
+    }));
+
+  if (templates.length === 0) {
+    throw new Error('The file does not contain comment templates');
+  }
+  return templates;
+}
@@ -0,0 +1,15 @@
+// BetterFrame - File Size
+// Byte counts for progress, notes and the popup's cache list. Imported by the content script; built to
+// BetterFrameFileSize for the offscreen document and the popup.
+
+/**
+ * Format a byte count as KB, MB, or GB for large files
+ */
+export function formatFileSize(bytes) {
+  const kilobytes = bytes / 1024;
+  const megabytes = kilobytes / 1024;
+  if (megabytes >= 1024) {
+    return `${(megabytes / 1024).toFixed(2)} GB`;
+  }
+  return megabytes >= 1 ? `${megabytes.toFixed(1)} MB` : `${kilobytes.toFixed(1)} KB`;
+}
@@ -0,0 +1,163 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { API_KEY, FAILING_AUDIO, startAssemblyAIStub } from './helpers/assemblyai-stub.js';
+import { openFrameioPage, waitFor } from './helpers/frameio-page.js';
+
+// Loaded in the order offscreen.html loads them
+const PROVIDER_SCRIPTS = ['logger.js', 'transcription-providers.js']
+  .map((file) => fs.readFileSync(new URL(`../${file}`, import.meta.url), 'utf8'));
+
+/**
+ * A jsdom window running the transcription providers
+ */
+function createProviderWindow() {
+  const window = new JSDOM('', { url: 'https://app.frame.io/', runScripts: 'outside-only' }).window;
+  window.fetch = fetch;
+  PROVIDER_SCRIPTS.forEach((source) => window.eval(source));
+  return window;
+}
+
+describe('AssemblyAI provider', () => {
+  let stub;
+  let window;
+  let assemblyai;
+
+  before(async () => {
+    stub = await startAssemblyAIStub();
+    // The offscreen document runs submit (it needs XMLHttpRequest for upload progress); jsdom provides one
+    window = createProviderWindow();
+    assemblyai = window.BetterFrameTranscriptionProviders.get('assemblyai');
+  });
+
+  after(async () => {
+    window.close();
+    await stub.close();
+  });
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+  });
+
+  /**
+   * Run submit and poll like the background worker does, collecting progress stages
+   */
+  async function transcribe(audio, config = { apiKey: API_KEY, endpoint: stub.endpoint }) {
+    const stages = [];
+    const context = { signal: new AbortController().signal, state: {}, onProgress: (progress) => stages.push(progress.stage) };
+    const job = await assemblyai.submit(new window.Blob([audio]), config, context);
+    const result = await assemblyai.poll(job, config, context);
+    return { job, result, state: context.state, stages };
+  }
+
+  it('uploads, creates a speaker-labelled job and returns the finished transcript', async () => {
+    const { job, result, state, stages } = await transcribe('fake wav bytes');
+
+    assert.equal(job.id, 'stub-job-1');
+    assert.deepEqual({ ...state }, { uploadUrl: 'https://cdn.assemblyai.com/upload/stub-1', jobId: 'stub-job-1' });
+    assert.deepEqual(stub.requests.map((request) => `${request.method} ${request.path}`), [
+      'POST /upload',
+      'POST /transcript',
+      'GET /transcript/stub-job-1'
+    ]);
+    assert.equal(stub.requests[0].body, 'fake wav bytes'.length);
+    assert.deepEqual(stub.requests[1].body, { audio_url: state.uploadUrl, speaker_labels: true });
+    assert.ok(stages.includes('upload'));
+    assert.equal(result.status, 'completed');
+  });
+
+  it('skips the steps a retry already finished', async () => {
+    const { state } = await transcribe('fake wav bytes');
+    stub.requests.length = 0;
+
+    const context = { signal: new AbortController().signal, state, onProgress() {} };
+    const job = await assemblyai.submit(null, { apiKey: API_KEY, endpoint: stub.endpoint }, context);
+
+    assert.equal(job.id, state.jobId);
+    assert.equal(assemblyai.needsMedia(state), false);
+    assert.deepEqual(stub.requests, []);
+  });
+
+  it('normalizes words to seconds', async () => {
+    const { result } = await transcribe('fake wav bytes');
+    const normalized = assemblyai.normalize(result);
+
+    assert.equal(normalized.words.length, 16);
+    assert.deepEqual({ ...normalized.words[12] }, { text: 'Thanks', start: 7.8, end: 8.1, confidence: 0.98, speaker: 'B' });
+  });
+
+  it("rejects with AssemblyAI's error when the transcript fails", async () => {
+    await assert.rejects(transcribe(FAILING_AUDIO), /Transcription failed: File does not appear to contain audio\./);
+  });
+
+  it('rejects a wrong API key at upload', async () => {
+    await assert.rejects(transcribe('fake wav bytes', { apiKey: 'wrong', endpoint: stub.endpoint }), /Upload failed: 401/);
+  });
+});
+
+describe('finished transcription in the page', () => {
+  const JOB = { id: 'job-1', assetKey: 'asset:asset-456', title: 'Interview_v3.mp4', status: 'completed', providerId: 'assemblyai', progress: { stage: 'done' } };
+  let stub;
+  let transcriptId;
+  let result;
+  let page;
+
+  before(async () => {
+    stub = await startAssemblyAIStub();
+    const window = createProviderWindow();
+    const assemblyai = window.BetterFrameTranscriptionProviders.get('assemblyai');
+    const config = { apiKey: API_KEY, endpoint: stub.endpoint };
+    const context = { signal: new AbortController().signal, state: {}, onProgress() {} };
+    const job = await assemblyai.submit(new window.Blob(['audio']), config, context);
+    transcriptId = job.id;
+    result = JSON.parse(JSON.stringify(assemblyai.normalize(await assemblyai.poll(job, config, context))));
+    window.close();
+  });
+
+  afterEach(() => page.close());
+
+  after(async () => {
+    await stub.close();
+  });
+
+  it('shows and caches the transcript the background worker reports', async () => {
+    page = openFrameioPage();
+    await waitFor(() => page.document.getElementById('betterframe-transcribe-btn'));
+    await page.sendToContent({ type: 'job:complete', job: JOB, result });
+
+    await waitFor(() => page.document.getElementById('betterframe-transcript-sidebar'));
+    assert.equal(page.document.querySelectorAll('.betterframe-transcript-segment').length, 4);
+    await waitFor(() => page.cache.get('asset:asset-456'));
+    assert.equal(page.cache.get('asset:asset-456').transcriptId, transcriptId);
+    assert.ok(page.sentMessages.some((message) => message.type === 'job:dismiss' && message.jobId === 'job-1'));
+  });
+
+  it("keeps the background worker's copy when the transcript can't be cached, and saves it on Retry", async () => {
+    page = openFrameioPage();
+    await waitFor(() => page.document.getElementById('betterframe-transcribe-btn'));
+    const cache = page.window.BetterFrameTranscriptCache;
+    const put = cache.put;
+    cache.put = async () => {
+      throw new Error('QuotaExceededError');
+    };
+    await page.sendToContent({ type: 'job:complete', job: JOB, result });
+
+    const toast = await waitFor(() => page.document.querySelector('.betterframe-toast-error'));
+    assert.match(toast.textContent, /Could not save the transcript of "Interview_v3\.mp4": QuotaExceededError/);
+    assert.ok(page.document.getElementById('betterframe-transcript-sidebar'));
+    assert.ok(!page.sentMessages.some((message) => message.type === 'job:dismiss'));
+
+    const panel = page.document.getElementById('betterframe-progress');
+    assert.ok(panel.classList.contains('betterframe-progress-failed'));
+    assert.match(panel.querySelector('.betterframe-progress-status').textContent, /Could not save the transcript: QuotaExceededError/);
+
+    cache.put = put;
+    const retry = [...panel.querySelectorAll('.betterframe-progress-button')].find((button) => button.textContent === 'Retry');
+    retry.click();
+    await waitFor(() => page.cache.get('asset:asset-456'));
+    await waitFor(() => page.sentMessages.some((message) => message.type === 'job:dismiss' && message.jobId === 'job-1'));
+    assert.ok(!panel.classList.contains('betterframe-progress-failed'));
+    assert.ok(!page.sentMessages.some((message) => message.type === 'job:retry'));
+  });
+});
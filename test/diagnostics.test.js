@@ -0,0 +1,35 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { FIXTURE, VIDEO_DURATION, openFrameioPage, waitFor } from './helpers/frameio-page.js';
+
+const SIGNED_SOURCE = 'https://assets.frame.io/encode/interview_v3_h264.mp4?Expires=1700000000&Signature=s3cr3t&Key-Pair-Id=K1';
+
+describe('diagnostics', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  it("reports the tab's selectors, video and recent events with signed URLs redacted", async () => {
+    const html = fs.readFileSync(FIXTURE, 'utf8').replace('https://assets.frame.io/encode/interview_v3_h264.mp4', SIGNED_SOURCE);
+    page = openFrameioPage({ html, url: 'https://app.frame.io/reviews/rev-123/asset-456?token=abc' });
+    await waitFor(() => page.document.getElementById('betterframe-transcribe-btn'));
+
+    const { ok, diagnostics } = await page.sendToContent({ type: 'diagnostics:collect' });
+
+    assert.equal(ok, true);
+    assert.equal(diagnostics.url, 'https://app.frame.io/reviews/rev-123/asset-456?[redacted]');
+    assert.equal(diagnostics.controlsInjected, true);
+    assert.equal(diagnostics.video.source, 'https://assets.frame.io/encode/interview_v3_h264.mp4?[redacted]');
+    assert.equal(diagnostics.video.duration, VIDEO_DURATION);
+    assert.equal(diagnostics.video.frameRate, 23.976);
+    assert.equal(diagnostics.video.frameRateSource, 'frameio');
+
+    const anchors = Object.fromEntries(diagnostics.selectors.anchors.map((anchor) => [anchor.name, anchor]));
+    assert.equal(anchors.video.found, true);
+    assert.equal(anchors.playButton.selector, '[role="button"][aria-label]');
+
+    assert.ok(diagnostics.events.some((entry) => entry.message === 'Extension loaded'));
+    assert.ok(!JSON.stringify(diagnostics).includes('s3cr3t'));
+  });
+});
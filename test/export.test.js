@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+const EXPORT_SOURCE = fs.readFileSync(new URL('../transcript-export.js', import.meta.url), 'utf8');
+
+/**
+ * Load the export module as the content script does, as a classic script defining a global
+ */
+function loadExport() {
+  const context = vm.createContext({});
+  vm.runInContext(EXPORT_SOURCE, context);
+  return context.BetterFrameTranscriptExport;
+}
+
+/**
+ * A segment of `count` words, `spacing` seconds apart, starting at `start`
+ */
+function segment(start, count, { spacing = 0.2, text = 'alpha', speaker = null } = {}) {
+  const words = Array.from({ length: count }, (_, i) => ({
+    text,
+    start: start + i * spacing,
+    end: start + (i + 1) * spacing
+  }));
+  return {
+    start,
+    end: words[words.length - 1].end,
+    text: words.map((word) => word.text).join(' '),
+    speaker,
+    words
+  };
+}
+
+/**
+ * The cues of a transcript, copied out of the module's realm
+ */
+function cuesOf(exporter, segments) {
+  return JSON.parse(JSON.stringify(exporter.buildCues({ segments })));
+}
+
+describe('subtitle cues', () => {
+  const exporter = loadExport();
+
+  it('splits a long segment into cues of at most two 42-character lines', () => {
+    const cues = cuesOf(exporter, [segment(0, 30)]);
+
+    assert.equal(cues.length, 3);
+    assert.equal(cues.map((cue) => cue.text.split(' ').length).reduce((a, b) => a + b), 30);
+    cues.forEach((cue) => assert.ok(cue.text.length <= 84, cue.text));
+    assert.equal(cues[1].start, cues[0].end);
+
+    const text = exporter.toSrt({ segments: [segment(0, 30)] });
+    text.split('\n\n').forEach((block) => {
+      const lines = block.trim().split('\n').slice(2);
+      assert.ok(lines.length >= 1 && lines.length <= 2, block);
+      lines.forEach((line) => assert.ok(line.length <= 42, line));
+    });
+  });
+
+  it('ends a cue before it would stay on screen longer than 7 seconds', () => {
+    const cues = cuesOf(exporter, [segment(0, 10, { spacing: 1, text: 'a' })]);
+
+    assert.deepEqual(cues.map((cue) => [cue.start, cue.end]), [[0, 7], [7, 10]]);
+  });
+
+  it('holds short cues for 1 second without overlapping the next one', () => {
+    const cues = cuesOf(exporter, [
+      segment(0, 1, { spacing: 0.3 }),
+      segment(0.5, 1, { spacing: 0.3 }),
+      segment(5, 1, { spacing: 0.3 })
+    ]);
+
+    assert.deepEqual(cues.map((cue) => [cue.start, cue.end]), [[0, 0.5], [0.5, 1.5], [5, 6]]);
+  });
+});
+
+describe('subtitle timestamps', () => {
+  const exporter = loadExport();
+  const transcript = { segments: [segment(3661.5, 2, { spacing: 0.75 })] };
+
+  it('writes SRT times as HH:MM:SS,mmm', () => {
+    assert.equal(exporter.toSrt(transcript), '1\n01:01:01,500 --> 01:01:03,000\nalpha alpha\n');
+  });
+
+  it('writes WebVTT times as HH:MM:SS.mmm', () => {
+    assert.equal(exporter.toVtt(transcript), 'WEBVTT\n\n01:01:01.500 --> 01:01:03.000\nalpha alpha\n');
+  });
+});
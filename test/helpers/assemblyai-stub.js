@@ -0,0 +1,95 @@
+// Local stand-in for the AssemblyAI REST endpoints the extension uses (upload, create and poll a transcript)
+
+import http from 'node:http';
+import { readJsonFixture } from './fixtures.js';
+
+const transcript = readJsonFixture('assemblyai-transcript.json');
+
+export const API_KEY = 'test-assemblyai-key';
+export const FAILING_AUDIO = 'failing-audio';
+
+/**
+ * Start the stub on a free localhost port. Resolves with { endpoint, requests, close() };
+ * `requests` records every call as { method, path, body } (body is the byte count for uploads).
+ * Transcripts of an upload whose body is FAILING_AUDIO end in AssemblyAI's error status.
+ */
+export function startAssemblyAIStub() {
+  const requests = [];
+  const uploads = new Map();
+  const jobs = new Map();
+
+  const server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const reply = (status, data) => {
+        response.writeHead(status, {
+          'content-type': 'application/json',
+          // The provider's upload goes through jsdom's XMLHttpRequest, which enforces CORS
+          'access-control-allow-origin': '*',
+          'access-control-allow-headers': 'authorization, content-type'
+        });
+        response.end(data === undefined ? '' : JSON.stringify(data));
+      };
+
+      if (request.method === 'OPTIONS') {
+        reply(204);
+        return;
+      }
+      if (request.headers.authorization !== API_KEY) {
+        reply(401, { error: 'Authentication error, API token missing/invalid' });
+        return;
+      }
+
+      const path = request.url.replace(/^\/v2/, '');
+      if (request.method === 'POST' && path === '/upload') {
+        requests.push({ method: 'POST', path, body: body.length });
+        const uploadUrl = `https://cdn.assemblyai.com/upload/stub-${uploads.size + 1}`;
+        uploads.set(uploadUrl, body.toString());
+        reply(200, { upload_url: uploadUrl });
+        return;
+      }
+
+      if (request.method === 'POST' && path === '/transcript') {
+        const options = JSON.parse(body.toString());
+        requests.push({ method: 'POST', path, body: options });
+        if (!uploads.has(options.audio_url)) {
+          reply(400, { error: 'Unknown audio_url' });
+          return;
+        }
+        const id = `stub-job-${jobs.size + 1}`;
+        jobs.set(id, { failing: uploads.get(options.audio_url) === FAILING_AUDIO });
+        reply(200, { id, status: 'queued', audio_url: options.audio_url, speaker_labels: options.speaker_labels });
+        return;
+      }
+
+      const poll = /^\/transcript\/([^/]+)$/.exec(path);
+      if (request.method === 'GET' && poll) {
+        requests.push({ method: 'GET', path });
+        const job = jobs.get(poll[1]);
+        if (!job) {
+          reply(404, { error: 'Transcript not found' });
+        } else if (job.failing) {
+          reply(200, { id: poll[1], status: 'error', error: 'File does not appear to contain audio.' });
+        } else {
+          reply(200, { ...transcript, id: poll[1] });
+        }
+        return;
+      }
+
+      reply(404, { error: `No stub for ${request.method} ${request.url}` });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        endpoint: `http://127.0.0.1:${server.address().port}/v2`,
+        requests,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
@@ -0,0 +1,18 @@
+// Access to the files in test/fixtures
+
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Path of a fixture file
+ */
+export function fixturePath(name) {
+  return fileURLToPath(new URL(`../fixtures/${name}`, import.meta.url));
+}
+
+/**
+ * Read and parse a JSON fixture; every call returns a fresh copy
+ */
+export function readJsonFixture(name) {
+  return JSON.parse(fs.readFileSync(fixturePath(name), 'utf8'));
+}
@@ -0,0 +1,207 @@
+// Loads the built extension's content scripts (npm run build) into a jsdom copy of a Frame.io review page
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { fixturePath } from './fixtures.js';
+
+const DIST = fileURLToPath(new URL('../../dist/', import.meta.url));
+export const FIXTURE = fixturePath('frameio-player.html');
+export const DEFAULT_URL = 'https://app.frame.io/reviews/rev-123/asset-456';
+export const VIDEO_DURATION = 120;
+
+/**
+ * The built extension's manifest
+ */
+function readManifest() {
+  const file = path.join(DIST, 'manifest.json');
+  if (!fs.existsSync(file)) {
+    throw new Error('dist/ is missing: run `npm run build` first');
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Content scripts in the order the manifest injects them
+ */
+function contentScripts() {
+  return readManifest().content_scripts[0].js;
+}
+
+/**
+ * Minimal chrome.* for content scripts: storage backed by plain objects, and runtime messaging
+ * whose replies come from `onMessage` (the background worker's side)
+ */
+function createChromeStub(options) {
+  const areas = { sync: { ...options.storage }, local: {} };
+  const runtimeListeners = [];
+  const sentMessages = [];
+
+  const storageArea = (name) => ({
+    get(keys, callback) {
+      const values = {};
+      (Array.isArray(keys) ? keys : [keys]).forEach((key) => {
+        if (key in areas[name]) values[key] = areas[name][key];
+      });
+      callback(values);
+    },
+    set(values, callback) {
+      Object.assign(areas[name], values);
+      if (callback) callback();
+    }
+  });
+
+  return {
+    sentMessages,
+    runtimeListeners,
+    chrome: {
+      storage: {
+        sync: storageArea('sync'),
+        local: storageArea('local'),
+        onChanged: { addListener() {} }
+      },
+      runtime: {
+        lastError: undefined,
+        getManifest: readManifest,
+        async sendMessage(message) {
+          sentMessages.push(message);
+          return options.onMessage ? options.onMessage(message) : { ok: true };
+        },
+        onMessage: { addListener: (listener) => runtimeListeners.push(listener) }
+      }
+    }
+  };
+}
+
+/**
+ * Replace the IndexedDB-backed transcript cache (jsdom has no IndexedDB) with an in-memory one
+ */
+function installMemoryCache(window, entries) {
+  const cache = window.BetterFrameTranscriptCache;
+  const records = new Map(Object.entries(entries));
+
+  cache.get = async (key) => (records.has(key) ? structuredClone(records.get(key)) : null);
+  cache.put = async (key, transcript, meta = {}) => {
+    records.set(key, { ...structuredClone(transcript), ...meta, updatedAt: Date.now() });
+  };
+  cache.update = async (key, changes) => {
+    records.set(key, { ...records.get(key), ...structuredClone(changes), updatedAt: Date.now() });
+  };
+  cache.list = async () => [...records.keys()].map((key) => ({ key }));
+  cache.remove = async (key) => records.delete(key);
+  cache.clear = async () => records.clear();
+  return records;
+}
+
+/**
+ * Fill in what jsdom leaves out: media playback, layout of ranges and CSS.escape
+ */
+function installBrowserShims(window) {
+  const media = window.HTMLMediaElement.prototype;
+  media.play = function play() {
+    Object.defineProperty(this, 'paused', { value: false, configurable: true });
+    this.dispatchEvent(new window.Event('play'));
+    return Promise.resolve();
+  };
+  media.pause = function pause() {
+    Object.defineProperty(this, 'paused', { value: true, configurable: true });
+    this.dispatchEvent(new window.Event('pause'));
+  };
+  window.Range.prototype.getBoundingClientRect = () => ({ top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 });
+  window.CSS = window.CSS || { escape: (value) => String(value).replace(/["\\]/g, '\\$&') };
+}
+
+/**
+ * Open the fixture page with BetterFrame's content scripts running in it.
+ *
+ * options.html replaces the fixture markup, options.url the page address, options.cache seeds the transcript
+ * cache ({ assetKey: transcript }), options.storage seeds chrome.storage.sync and options.onMessage answers
+ * chrome.runtime.sendMessage in place of the background worker.
+ */
+export function openFrameioPage(options = {}) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', (error) => errors.push(error));
+
+  const dom = new JSDOM(options.html || fs.readFileSync(FIXTURE, 'utf8'), {
+    url: options.url || DEFAULT_URL,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  const { chrome, sentMessages, runtimeListeners } = createChromeStub(options);
+  window.chrome = chrome;
+  installBrowserShims(window);
+
+  const video = window.document.querySelector('video');
+  if (video) {
+    Object.defineProperty(video, 'duration', { value: VIDEO_DURATION, configurable: true });
+  }
+
+  let cache = null;
+  for (const file of contentScripts()) {
+    window.eval(fs.readFileSync(path.join(DIST, file), 'utf8'));
+    if (file === 'transcript-cache.js') {
+      cache = installMemoryCache(window, options.cache || {});
+    }
+  }
+
+  return {
+    window,
+    document: window.document,
+    video,
+    cache,
+    errors,
+    sentMessages,
+
+    /**
+     * Deliver a message from the background worker to the content script, resolving with its response
+     */
+    sendToContent(message) {
+      return new Promise((resolve) => {
+        let answered = false;
+        const respond = (response) => {
+          answered = true;
+          resolve(response);
+        };
+        const keepsChannelOpen = runtimeListeners.some((listener) => listener(message, {}, respond) === true);
+        if (!keepsChannelOpen && !answered) resolve(undefined);
+      });
+    },
+
+    close() {
+      window.close();
+    }
+  };
+}
+
+/**
+ * Wait until `check` returns something truthy, polling the page's event loop
+ */
+export async function waitFor(check, { timeout = 2000, interval = 10 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out after ${timeout}ms waiting for ${check}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+/**
+ * Select text in the page from one node/offset to another and release the mouse there, as a user drag would
+ */
+export function selectText(page, start, end) {
+  const { window, document } = page;
+  const range = document.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  end.node.parentNode.dispatchEvent(new window.MouseEvent('mouseup', { bubbles: true }));
+}
@@ -0,0 +1,78 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+const LOGGER_SOURCE = fs.readFileSync(new URL('../logger.js', import.meta.url), 'utf8');
+
+/**
+ * Load a fresh logger whose console output is collected as [method, ...args]
+ */
+function loadLogger() {
+  const printed = [];
+  const console = Object.fromEntries(['log', 'warn', 'error', 'debug'].map((method) => [method, (...args) => printed.push([method, ...args])]));
+  const context = vm.createContext({ console });
+  vm.runInContext(LOGGER_SOURCE, context);
+  return { logger: context.BetterFrameLogger, printed, context };
+}
+
+describe('logger', () => {
+  let logger;
+  let printed;
+  let context;
+
+  beforeEach(() => {
+    ({ logger, printed, context } = loadLogger());
+  });
+
+  it('prints at the configured level and above, with the scope prefix', () => {
+    const log = logger.create('Test');
+    log.debug('hidden');
+    log.info('shown', 42);
+    logger.setLevel('warn');
+    log.info('hidden too');
+    log.warn('careful');
+
+    assert.deepEqual(printed, [['log', '[BetterFrame Test]', 'shown', 42], ['warn', '[BetterFrame Test]', 'careful']]);
+  });
+
+  it('falls back to info for an unknown level', () => {
+    logger.setLevel('verbose');
+    assert.equal(logger.getLevel(), 'info');
+  });
+
+  it('buffers every event whatever the level, dropping the oldest beyond 200', () => {
+    const log = logger.create();
+    logger.setLevel('error');
+    for (let i = 0; i < 205; i++) {
+      log.debug(`event ${i}`);
+    }
+    // An error from the logger's own realm, as in the extension
+    log.error(vm.runInContext("new Error('boom')", context));
+
+    const entries = logger.getEntries();
+    assert.equal(entries.length, 200);
+    assert.equal(entries[0].message, 'event 6');
+    assert.equal(entries[0].scope, '');
+    assert.deepEqual(Array.from(logger.getEntries({ minLevel: 'warn' }), (entry) => entry.level), ['error']);
+    assert.match(logger.getEntries({ minLevel: 'error' })[0].message, /^Error: boom/);
+    assert.equal(logger.getEntries({ limit: 2 }).length, 2);
+    assert.equal(printed.length, 1);
+  });
+
+  it('redacts signed URLs, tokens and secret keys from buffered events', () => {
+    logger.create('Test').info('Fetching https://assets.frame.io/v.mp4?Expires=1&Signature=abc', 'Authorization: Bearer sk-123');
+    const [entry] = logger.getEntries();
+    assert.equal(entry.message, 'Fetching https://assets.frame.io/v.mp4?[redacted] Authorization: [redacted] [redacted]');
+  });
+
+  it('redacts objects deeply without changing them', () => {
+    const settings = { assemblyaiApiKey: 'abc', openaiApiKey: '', nested: [{ token: 't', url: 'https://x.test/a?sig=1' }] };
+    assert.deepEqual(JSON.parse(JSON.stringify(logger.redact(settings))), {
+      assemblyaiApiKey: '[redacted]',
+      openaiApiKey: '',
+      nested: [{ token: '[redacted]', url: 'https://x.test/a?[redacted]' }]
+    });
+    assert.equal(settings.assemblyaiApiKey, 'abc');
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { FIXTURE, VIDEO_DURATION, openFrameioPage, waitFor } from './helpers/frameio-page.js';
+
+const CONTROL_IDS = [
+  'betterframe-skip-backward-btn',
+  'betterframe-skip-step-btn',
+  'betterframe-skip-forward-btn',
+  'betterframe-loop-in-btn',
+  'betterframe-loop-btn',
+  'betterframe-loop-out-btn',
+  'betterframe-frame-backward-btn',
+  'betterframe-frame-forward-btn',
+  'betterframe-timecode',
+  'betterframe-speed-btn',
+  'betterframe-transcribe-btn'
+];
+
+describe('player controls', () => {
+  let page;
+
+  afterEach(() => page && page.close());
+
+  it('injects every control once, right after the play button', async () => {
+    page = openFrameioPage();
+    const { document } = page;
+    await waitFor(() => document.getElementById('betterframe-transcribe-btn'));
+
+    // "Playback speed" comes first in the fixture and must not be taken for the play button
+    const playButton = document.querySelector('[aria-label="Play"]');
+    let element = playButton;
+    for (const id of CONTROL_IDS) {
+      element = element.nextElementSibling;
+      assert.equal(element.id, id);
+    }
+    for (const id of CONTROL_IDS) {
+      assert.equal(document.querySelectorAll(`#${id}`).length, 1, id);
+    }
+  });
+
+  it('clamps skips to the start and end of the video', async () => {
+    page = openFrameioPage();
+    const { document, video } = page;
+    const backward = await waitFor(() => document.getElementById('betterframe-skip-backward-btn'));
+    const forward = document.getElementById('betterframe-skip-forward-btn');
+
+    video.currentTime = 2;
+    backward.click();
+    assert.equal(video.currentTime, 0);
+
+    video.currentTime = VIDEO_DURATION - 2;
+    forward.click();
+    assert.equal(video.currentTime, VIDEO_DURATION);
+
+    video.currentTime = 60;
+    forward.click();
+    assert.equal(video.currentTime, 65);
+  });
+
+  it('reads the frame rate from the asset metadata', async () => {
+    page = openFrameioPage();
+    const display = await waitFor(() => page.document.getElementById('betterframe-timecode'));
+    assert.equal(display.querySelector('.betterframe-timecode-rate').textContent, '23.976 fps');
+  });
+});
+
+describe('selector health check', () => {
+  let page;
+
+  afterEach(() => page && page.close());
+
+  it('finds the critical anchors in the fixture', () => {
+    page = openFrameioPage();
+    const report = page.window.BetterFrameSelectors.check();
+    const byName = Object.fromEntries(report.anchors.map((anchor) => [anchor.name, anchor]));
+
+    assert.equal(report.missingCritical.length, 0);
+    assert.equal(byName.video.selector, 'video');
+    assert.equal(byName.playButton.selector, '[role="button"][aria-label]');
+    assert.equal(byName.playerContainer.found, true);
+    assert.equal(byName.commentTimestamp.selector, '.comment-composer__timestamp-text');
+  });
+
+  it('reports a missing play button and injects nothing', async () => {
+    const html = fs.readFileSync(FIXTURE, 'utf8').replace('aria-label="Play"', 'aria-label="Start"');
+    page = openFrameioPage({ html });
+    const report = page.window.BetterFrameSelectors.check();
+
+    // The report comes from the page's realm, so copy it into this one before comparing
+    assert.deepEqual(Array.from(report.missingCritical, (anchor) => anchor.name), ['playButton']);
+    assert.equal(page.document.getElementById('betterframe-transcribe-btn'), null);
+  });
+});
+
+/**
+ * A one-word cached transcript
+ */
+function transcript(text) {
+  return {
+    text,
+    segments: [{ start: 0, end: 1, text, speaker: null, words: [{ text, start: 0, end: 1 }] }]
+  };
+}
+
+/**
+ * Move the page to another asset the way Frame.io does: new route, new <video>
+ */
+function navigateToAsset(page, path) {
+  page.window.history.pushState({}, '', path);
+  const newVideo = page.document.createElement('video');
+  Object.defineProperty(newVideo, 'duration', { value: 30 });
+  page.video.replaceWith(newVideo);
+  return newVideo;
+}
+
+describe('navigation', () => {
+  let page;
+
+  afterEach(() => page && page.close());
+
+  it('tears down and re-injects when Frame.io moves to another asset', async () => {
+    page = openFrameioPage({
+      cache: { 'asset:asset-456': transcript('First'), 'asset:asset-789': transcript('Second') }
+    });
+    const { document } = page;
+
+    const transcribeButton = await waitFor(() => document.getElementById('betterframe-transcribe-btn'));
+    transcribeButton.click();
+    await waitFor(() => document.getElementById('betterframe-transcript-sidebar'));
+
+    const newVideo = navigateToAsset(page, '/reviews/rev-123/asset-789');
+
+    await waitFor(() => document.querySelector('.betterframe-transcript-word')?.textContent === 'Second');
+    for (const id of CONTROL_IDS) {
+      assert.equal(document.querySelectorAll(`#${id}`).length, 1, id);
+    }
+    assert.equal(document.querySelectorAll('#betterframe-transcript-sidebar').length, 1);
+
+    // The skip buttons now drive the new video
+    newVideo.currentTime = 10;
+    document.getElementById('betterframe-skip-forward-btn').click();
+    assert.equal(newVideo.currentTime, 15);
+  });
+
+  it("restores the next asset's cached transcript with its sidebar closed when it was closed", async () => {
+    page = openFrameioPage({ cache: { 'asset:asset-789': transcript('Second') } });
+    const { document } = page;
+    await waitFor(() => document.getElementById('betterframe-transcribe-btn'));
+
+    navigateToAsset(page, '/reviews/rev-123/asset-789');
+
+    await waitFor(() => document.querySelector('.betterframe-transcript-word')?.textContent === 'Second');
+    assert.ok(document.getElementById('betterframe-transcript-sidebar').classList.contains('hidden'));
+    assert.equal(document.getElementById('betterframe-transcript-toggle').title, 'Show Transcript');
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readJsonFixture } from './helpers/fixtures.js';
+import { formatTimecode, formatTimestamp } from '../src/content/format.js';
+import { formatFileSize } from '../src/shared/file-size.js';
+import { convertWordsToSegments } from '../src/content/transcript-model.js';
+
+const assemblyaiTranscript = readJsonFixture('assemblyai-transcript.json');
+
+/**
+ * The fixture's words as providers normalize them: seconds instead of milliseconds
+ */
+function providerWords() {
+  return assemblyaiTranscript.words.map((word) => ({ ...word, start: word.start / 1000, end: word.end / 1000 }));
+}
+
+describe('convertWordsToSegments', () => {
+  it('returns no segments for no words', () => {
+    assert.deepEqual(convertWordsToSegments([]), []);
+    assert.deepEqual(convertWordsToSegments(null), []);
+  });
+
+  it('breaks after sentence punctuation, pauses over a second and speaker changes', () => {
+    const segments = convertWordsToSegments(providerWords());
+
+    assert.deepEqual(segments.map((segment) => segment.text), [
+      'Welcome back to the show.',
+      "Today we're talking about editing",
+      'um workflows.',
+      'Thanks for having me.'
+    ]);
+    assert.deepEqual(segments.map((segment) => segment.speaker), ['A', 'A', 'A', 'B']);
+    assert.deepEqual(segments.map((segment) => [segment.start, segment.end]), [[0, 1.5], [3, 5], [6.2, 7.2], [7.8, 9]]);
+  });
+
+  it('breaks on a speaker change even without punctuation or a pause', () => {
+    const segments = convertWordsToSegments([
+      { text: 'Cut', start: 0, end: 0.3, speaker: 'A' },
+      { text: 'here', start: 0.35, end: 0.6, speaker: 'A' },
+      { text: 'agreed', start: 0.65, end: 1, speaker: 'B' }
+    ]);
+    assert.deepEqual(segments.map((segment) => segment.text), ['Cut here', 'agreed']);
+  });
+
+  it('keeps every word with its transcript-wide index, timing and confidence', () => {
+    const segments = convertWordsToSegments(providerWords());
+    const words = segments.flatMap((segment) => segment.words);
+
+    assert.deepEqual(words.map((word) => word.index), [...Array(16).keys()]);
+    assert.deepEqual(words[5], { index: 5, text: 'Today', start: 3, end: 3.4, confidence: 0.98, speaker: 'A' });
+  });
+
+  it('fills in missing confidence and speaker', () => {
+    const [segment] = convertWordsToSegments([{ text: 'Hello.', start: 0, end: 0.5 }]);
+    assert.deepEqual(segment.words[0], { index: 0, text: 'Hello.', start: 0, end: 0.5, confidence: null, speaker: null });
+    assert.equal(segment.speaker, null);
+  });
+});
+
+describe('time formatting', () => {
+  it('formats sidebar timestamps as M:SS', () => {
+    assert.equal(formatTimestamp(0), '0:00');
+    assert.equal(formatTimestamp(75.9), '1:15');
+  });
+
+  it('formats timecodes as HH:MM:SS:FF at the given frame rate', () => {
+    assert.equal(formatTimecode(0, 25), '00:00:00:00');
+    assert.equal(formatTimecode(3661.5, 25), '01:01:01:12');
+  });
+});
+
+describe('size formatting', () => {
+  it('uses KB below a megabyte, MB below a gigabyte and GB above', () => {
+    assert.equal(formatFileSize(12 * 1024), '12.0 KB');
+    assert.equal(formatFileSize(5.25 * 1024 * 1024), '5.3 MB');
+    assert.equal(formatFileSize(3 * 1024 * 1024 * 1024), '3.00 GB');
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readJsonFixture } from './helpers/fixtures.js';
+import { parseImport, render } from '../src/shared/comment-templates.js';
+import { buildTemplateValues, convertWordsToSegments, speakerName } from '../src/content/transcript-model.js';
+
+/**
+ * The fixture transcript as the sidebar holds it, with speaker A renamed
+ */
+function fixtureTranscript() {
+  const { words } = readJsonFixture('assemblyai-transcript.json');
+  return {
+    segments: convertWordsToSegments(words.map((word) => ({ ...word, start: word.start / 1000, end: word.end / 1000 }))),
+    speakers: { A: 'Host', B: 'B' }
+  };
+}
+
+/**
+ * A selection of transcript words [first, last] as the selection menu resolves it
+ */
+function selectWords(transcript, first, last) {
+  const segments = transcript.segments.filter((segment) =>
+    segment.words.some((word) => word.index >= first && word.index <= last)
+  );
+  const words = segments.flatMap((segment) => segment.words);
+  const offset = words[0].index;
+  return {
+    text: words.slice(first - offset, last - offset + 1).map((word) => word.text).join(' '),
+    segments,
+    words,
+    offset,
+    startIndex: first - offset,
+    endIndex: last - offset + 1,
+    start: words[first - offset].start,
+    end: words[last - offset].end
+  };
+}
+
+describe('buildTemplateValues', () => {
+  it('fills every placeholder from a selection spanning two segments', () => {
+    const transcript = fixtureTranscript();
+    const values = buildTemplateValues(transcript, selectWords(transcript, 9, 10), 25);
+
+    assert.deepEqual(values, {
+      selection: 'editing um',
+      context: "Today we're talking about [editing um] workflows. Thanks for",
+      segment: "Today we're talking about [editing um] workflows.",
+      timestamp: '0:04',
+      range: '00:00:04:11 – 00:00:06:12',
+      speaker: 'Host'
+    });
+  });
+
+  it('joins the speakers of a selection that crosses a speaker change', () => {
+    const transcript = fixtureTranscript();
+    transcript.speakers = { A: 'Host' };
+    const values = buildTemplateValues(transcript, selectWords(transcript, 11, 12), 25);
+    assert.equal(values.speaker, 'Host & Speaker B');
+  });
+});
+
+describe('speakerName', () => {
+  it('uses the name given in the transcript, then the label', () => {
+    assert.equal(speakerName({ speakers: { A: 'Host' } }, 'A'), 'Host');
+    assert.equal(speakerName({ speakers: {} }, 'B'), 'Speaker B');
+    assert.equal(speakerName(null, null), '');
+  });
+});
+
+describe('comment template rendering', () => {
+  const values = { selection: 'editing um', timestamp: '0:04', speaker: 'Host' };
+
+  it('fills known placeholders and leaves unknown ones as typed', () => {
+    assert.equal(render('{speaker}: "{selection}" at {timestamp} {todo}', values), 'Host: "editing um" at 0:04 {todo}');
+  });
+
+  it('drops the speaker and its separator when there is no speaker', () => {
+    assert.equal(render('{speaker}: {selection}', { ...values, speaker: '' }), 'editing um');
+  });
+});
+
+describe('comment template import', () => {
+  it('keeps known markup types and drops anything else, inherited names included', () => {
+    const templates = parseImport(JSON.stringify({
+      templates: [
+        { name: 'Cut', text: '{selection}', markup: 'delete' },
+        { name: 'Odd', text: '{selection}', markup: 'constructor' },
+        { name: 'Odder', text: '{selection}', markup: 'toString' }
+      ]
+    }));
+    assert.deepEqual(templates.map((template) => template.markup), ['delete', 'none', 'none']);
+  });
+});
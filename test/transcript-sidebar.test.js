@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { openFrameioPage, waitFor, selectText } from './helpers/frameio-page.js';
+import { readJsonFixture } from './helpers/fixtures.js';
+import { convertWordsToSegments } from '../src/content/transcript-model.js';
+
+const assemblyaiTranscript = readJsonFixture('assemblyai-transcript.json');
+
+const ASSET_KEY = 'asset:asset-456';
+
+/**
+ * Open the fixture page with the fixture transcript cached for its asset, and open the sidebar
+ */
+async function openWithTranscript() {
+  const page = openFrameioPage();
+  const words = assemblyaiTranscript.words.map((word) => ({ ...word, start: word.start / 1000, end: word.end / 1000 }));
+  page.cache.set(ASSET_KEY, {
+    provider: 'assemblyai',
+    transcriptId: assemblyaiTranscript.id,
+    text: assemblyaiTranscript.text,
+    segments: convertWordsToSegments(words),
+    speakers: { A: 'Host' },
+    updatedAt: Date.now()
+  });
+
+  const button = await waitFor(() => page.document.getElementById('betterframe-transcribe-btn'));
+  button.click();
+  await waitFor(() => page.document.getElementById('betterframe-transcript-sidebar'));
+  return page;
+}
+
+/**
+ * Find a transcript word span by its text
+ */
+function wordElement(page, text) {
+  return [...page.document.querySelectorAll('.betterframe-transcript-word')].find((element) => element.textContent === text);
+}
+
+describe('transcript sidebar', () => {
+  let page;
+
+  afterEach(() => page && page.close());
+
+  it('renders segments with timestamps, speaker chips and timed words', async () => {
+    page = await openWithTranscript();
+    const { document } = page;
+
+    const segments = [...document.querySelectorAll('.betterframe-transcript-segment')];
+    assert.equal(segments.length, 4);
+    assert.deepEqual(
+      segments.map((segment) => segment.querySelector('.betterframe-transcript-timestamp').textContent),
+      ['0:00', '0:03', '0:06', '0:07']
+    );
+    // Saved names win; speakers without one get a default
+    assert.deepEqual(
+      segments.map((segment) => segment.querySelector('.betterframe-speaker-chip').textContent),
+      ['Host', 'Host', 'Host', 'Speaker B']
+    );
+
+    const words = document.querySelectorAll('.betterframe-transcript-word');
+    assert.equal(words.length, 16);
+    assert.equal(wordElement(page, 'editing').dataset.start, '4.45');
+    assert.equal(wordElement(page, 'editing').dataset.end, '5');
+  });
+
+  it('seeks to a segment when its timestamp is clicked', async () => {
+    page = await openWithTranscript();
+    const timestamps = page.document.querySelectorAll('.betterframe-transcript-timestamp');
+
+    timestamps[3].click();
+    assert.equal(page.video.currentTime, 7.8);
+  });
+
+  it('closes and reopens from the toggle, giving the player its space back', async () => {
+    page = await openWithTranscript();
+    const { document } = page;
+    const container = document.querySelector('[class*="ReviewLinkPlayer__Container"]');
+    // The sidebar sits on the left by default
+    assert.equal(container.style.marginLeft, '400px');
+
+    document.getElementById('betterframe-transcript-toggle').click();
+    assert.ok(document.getElementById('betterframe-transcript-sidebar').classList.contains('hidden'));
+    assert.equal(container.style.marginLeft, '0px');
+
+    document.getElementById('betterframe-transcript-toggle').click();
+    assert.ok(!document.getElementById('betterframe-transcript-sidebar').classList.contains('hidden'));
+    assert.equal(container.style.marginLeft, '400px');
+  });
+});
+
+describe('selection actions', () => {
+  let page;
+  let inserted;
+
+  beforeEach(async () => {
+    page = await openWithTranscript();
+    inserted = [];
+    // jsdom has no Slate editor to type into; record what would have been written to it
+    page.window.BetterFrameCommentComposer.insertComment = async (text, options) => {
+      inserted.push({ text, range: options.range && { out: options.range.out } });
+      return { ranged: Boolean(options.range) };
+    };
+  });
+
+  afterEach(() => page.close());
+
+  /**
+   * Select from the start of one word to the end of another
+   */
+  function selectWords(from, to) {
+    const start = wordElement(page, from).firstChild;
+    const end = wordElement(page, to).firstChild;
+    selectText(page, { node: start, offset: 0 }, { node: end, offset: end.length });
+  }
+
+  it('offers the menu templates, Note and Copy for a selection', () => {
+    selectWords('talking', 'about');
+
+    const menu = page.document.getElementById('betterframe-selection-menu');
+    assert.ok(menu);
+    assert.deepEqual(
+      [...menu.querySelectorAll('.betterframe-selection-button')].map((button) => button.textContent),
+      ['Delete', 'Long pause', 'Unclear', 'Add to comments', 'Note', 'Copy']
+    );
+  });
+
+  it('writes a range comment for a selection across segments and strikes the words through', async () => {
+    selectWords('editing', 'workflows.');
+    const deleteButton = [...page.document.querySelectorAll('.betterframe-selection-button')]
+      .find((button) => button.textContent === 'Delete');
+    deleteButton.click();
+
+    await waitFor(() => inserted.length > 0);
+    const [{ text, range }] = inserted;
+    assert.match(text, /^Please cut the part inside \[\]:/);
+    assert.match(text, /Host: Today we're talking about \[editing um workflows\.\]$/);
+    assert.deepEqual(range, { out: 7.2 });
+    // The comment's in point comes from the playhead
+    assert.equal(page.video.currentTime, 4.45);
+
+    const struck = [...page.document.querySelectorAll('.betterframe-markup-delete')].map((element) => element.textContent);
+    assert.deepEqual(struck, ['editing', 'um', 'workflows.']);
+    await waitFor(() => page.cache.get(ASSET_KEY).annotations);
+    assert.deepEqual(
+      page.cache.get(ASSET_KEY).annotations.map(({ type, startWord, endWord }) => ({ type, startWord, endWord })),
+      [{ type: 'delete', startWord: 9, endWord: 12 }]
+    );
+  });
+
+  it('removes the menu when clicking elsewhere', () => {
+    selectWords('Thanks', 'Thanks');
+    assert.ok(page.document.getElementById('betterframe-selection-menu'));
+
+    page.document.body.dispatchEvent(new page.window.MouseEvent('mousedown', { bubbles: true }));
+    assert.equal(page.document.getElementById('betterframe-selection-menu'), null);
+  });
+});
@@ -0,0 +1,211 @@
+// BetterFrame - Transcript Cache
+// IndexedDB store of finished transcripts, keyed by the Frame.io asset they belong to
+
+(function(global) {
+  'use strict';
+
+  const log = BetterFrameLogger.create('Cache');
+
+  const DB_NAME = 'betterframe';
+  const DB_VERSION = 2;
+  const STORE_NAME = 'transcripts';
+  // Results of finished background jobs (see background.js), held until a tab has cached the transcript.
+  // Only the worker uses it: its database is the extension's, not the Frame.io page's.
+  const JOB_RESULTS_STORE_NAME = 'jobResults';
+
+  /**
+   * Frame.io URL shapes and the cache key each one maps to.
+   * Asset ids win over review ids so the same asset shares one entry across review links.
+   */
+  const ASSET_URL_PATTERNS = [
+    { pattern: /^\/reviews\/[^/]+\/([^/]+)/, prefix: 'asset' },
+    { pattern: /^\/player\/([^/]+)/, prefix: 'asset' },
+    { pattern: /\/view\/([^/]+)/, prefix: 'asset' },
+    { pattern: /^\/reviews\/([^/]+)/, prefix: 'review' },
+    { pattern: /^\/presentations\/([^/]+)/, prefix: 'presentation' }
+  ];
+
+  let dbPromise = null;
+
+  /**
+   * Get the cache key for the asset shown at a Frame.io URL, or null if none can be parsed
+   */
+  function getAssetKey(url) {
+    let pathname;
+    try {
+      pathname = new URL(url).pathname;
+    } catch (error) {
+      return null;
+    }
+
+    for (const { pattern, prefix } of ASSET_URL_PATTERNS) {
+      const match = pattern.exec(pathname);
+      if (match) {
+        return `${prefix}:${match[1]}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Open (and create on first use) the transcript database
+   */
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            store.createIndex('createdAt', 'createdAt');
+          }
+          if (!db.objectStoreNames.contains(JOB_RESULTS_STORE_NAME)) {
+            db.createObjectStore(JOB_RESULTS_STORE_NAME);
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          log.error('Failed to open database:', request.error);
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run a single request against an object store (the transcript store by default) and resolve with its result
+   */
+  async function withStore(mode, callback, storeName = STORE_NAME) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get the cached transcript for an asset key, or null
+   */
+  async function get(key) {
+    const record = await withStore('readonly', (store) => store.get(key));
+    return record || null;
+  }
+
+  /**
+   * Set a record's size in bytes (as serialized JSON)
+   */
+  function withSize(record) {
+    delete record.size;
+    record.size = new Blob([JSON.stringify(record)]).size;
+    return record;
+  }
+
+  /**
+   * Save a finished transcript. Segments carry their own word arrays.
+   * Adds the record's size and timestamps.
+   */
+  async function put(key, transcript, details = {}) {
+    const existing = await get(key);
+    const now = Date.now();
+    const record = withSize({
+      key: key,
+      title: details.title || key,
+      url: details.url || '',
+      provider: transcript.provider || 'assemblyai',
+      transcriptId: transcript.transcriptId || null,
+      text: transcript.text || '',
+      segments: transcript.segments || [],
+      speakers: transcript.speakers || {},
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    });
+
+    await withStore('readwrite', (store) => store.put(record));
+    log.info(`Cached transcript for ${key} (${(record.size / 1024).toFixed(1)} KB)`);
+    return record;
+  }
+
+  /**
+   * Merge changes (e.g. speaker names) into a cached transcript, or resolve null if it isn't cached
+   */
+  async function update(key, changes) {
+    const existing = await get(key);
+    if (!existing) return null;
+
+    const record = withSize({ ...existing, ...changes, key: key, updatedAt: Date.now() });
+    await withStore('readwrite', (store) => store.put(record));
+    return record;
+  }
+
+  /**
+   * List every cached transcript without its segment and word data, newest first
+   */
+  async function list() {
+    const records = await withStore('readonly', (store) => store.getAll());
+    return records
+      .map(({ key, title, url, transcriptId, size, createdAt, updatedAt, segments }) => ({
+        key, title, url, transcriptId, size, createdAt, updatedAt,
+        segmentCount: segments ? segments.length : 0
+      }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Delete one cached transcript
+   */
+  async function remove(key) {
+    await withStore('readwrite', (store) => store.delete(key));
+    log.info(`Removed cached transcript for ${key}`);
+  }
+
+  /**
+   * Delete every cached transcript
+   */
+  async function clear() {
+    await withStore('readwrite', (store) => store.clear());
+    log.info('Cleared all cached transcripts');
+  }
+
+  /**
+   * Keep a finished job's normalized provider result until a tab picks it up
+   */
+  async function putJobResult(jobId, result) {
+    await withStore('readwrite', (store) => store.put(result, jobId), JOB_RESULTS_STORE_NAME);
+  }
+
+  /**
+   * Get a finished job's result, or null
+   */
+  async function getJobResult(jobId) {
+    const result = await withStore('readonly', (store) => store.get(jobId), JOB_RESULTS_STORE_NAME);
+    return result || null;
+  }
+
+  /**
+   * Delete a job's result once its transcript is cached or the job is dropped
+   */
+  async function removeJobResult(jobId) {
+    await withStore('readwrite', (store) => store.delete(jobId), JOB_RESULTS_STORE_NAME);
+  }
+
+  global.BetterFrameTranscriptCache = {
+    getAssetKey,
+    get,
+    put,
+    update,
+    list,
+    remove,
+    clear,
+    putJobResult,
+    getJobResult,
+    removeJobResult
+  };
+})(globalThis);
@@ -0,0 +1,229 @@
+// BetterFrame - Transcript Export
+// Turns the segment/word transcript model into SRT, WebVTT, plain text and JSON files
+
+(function(global) {
+  'use strict';
+
+  // Subtitle cue rules (common broadcast/streaming caption guidelines)
+  const MAX_LINE_LENGTH = 42;
+  const MAX_LINES = 2;
+  const MAX_CUE_DURATION = 7;
+  const MIN_CUE_DURATION = 1;
+
+  /**
+   * Every export format, in menu order
+   */
+  const FORMATS = {
+    srt: { label: 'Subtitles (.srt)', extension: 'srt', mimeType: 'application/x-subrip' },
+    vtt: { label: 'WebVTT (.vtt)', extension: 'vtt', mimeType: 'text/vtt' },
+    txt: { label: 'Text with timestamps (.txt)', extension: 'txt', mimeType: 'text/plain' },
+    json: { label: 'JSON data (.json)', extension: 'json', mimeType: 'application/json' }
+  };
+
+  /**
+   * Format seconds as HH:MM:SS plus milliseconds after the given separator
+   */
+  function formatCueTime(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+  }
+
+  /**
+   * Format seconds as HH:MM:SS for the plain text export
+   */
+  function formatClock(seconds) {
+    return formatCueTime(seconds, '.').slice(0, 8);
+  }
+
+  /**
+   * Get the display name for a speaker label, or '' when the transcript has no speakers
+   */
+  function speakerName(transcript, speaker) {
+    if (!speaker) return '';
+    return (transcript.speakers && transcript.speakers[speaker]) || `Speaker ${speaker}`;
+  }
+
+  /**
+   * Split cue text into at most two lines of roughly equal length
+   */
+  function wrapLines(text, maxLineLength = MAX_LINE_LENGTH) {
+    if (text.length <= maxLineLength) return [text];
+
+    let best = -1;
+    let bestLength = Infinity;
+    for (let i = text.indexOf(' '); i !== -1; i = text.indexOf(' ', i + 1)) {
+      const longest = Math.max(i, text.length - i - 1);
+      if (longest < bestLength) {
+        best = i;
+        bestLength = longest;
+      }
+    }
+    return best === -1 ? [text] : [text.slice(0, best), text.slice(best + 1)];
+  }
+
+  /**
+   * Group transcript words into subtitle cues.
+   * Cues never span two segments, fit in two lines and stay on screen for 1–7 seconds.
+   * The first cue of each speaker turn carries a `turn` flag so formats can name the speaker.
+   */
+  function buildCues(transcript) {
+    const maxCueLength = MAX_LINE_LENGTH * MAX_LINES;
+    const cues = [];
+    let previousSpeaker = null;
+
+    for (const segment of transcript.segments || []) {
+      const words = segment.words && segment.words.length > 0
+        ? segment.words
+        : [{ text: segment.text, start: segment.start, end: segment.end }];
+
+      // Leave room to name the speaker at the start of each turn
+      const speaker = segment.speaker || null;
+      let turn = Boolean(speaker) && speaker !== previousSpeaker;
+      let prefix = turn ? `${speakerName(transcript, speaker)}: ` : '';
+      previousSpeaker = speaker;
+
+      let current = [];
+      const flush = () => {
+        if (current.length === 0) return;
+        cues.push({
+          start: current[0].start,
+          end: current[current.length - 1].end,
+          text: current.map((word) => word.text).join(' '),
+          speaker: speaker,
+          turn: turn
+        });
+        current = [];
+        turn = false;
+        prefix = '';
+      };
+
+      for (const word of words) {
+        if (current.length > 0) {
+          const length = prefix.length + current.map((w) => w.text).join(' ').length + 1 + word.text.length;
+          if (length > maxCueLength || word.end - current[0].start > MAX_CUE_DURATION) {
+            flush();
+          }
+        }
+        current.push(word);
+      }
+      flush();
+    }
+
+    // Hold very short cues a little longer, without overlapping the next one
+    cues.forEach((cue, index) => {
+      const next = cues[index + 1];
+      if (cue.end - cue.start < MIN_CUE_DURATION) {
+        cue.end = Math.min(cue.start + MIN_CUE_DURATION, next ? next.start : Infinity);
+      }
+    });
+
+    return cues;
+  }
+
+  /**
+   * Build a SubRip (.srt) subtitle file, prefixing each speaker turn with the speaker's name
+   */
+  function toSrt(transcript) {
+    return buildCues(transcript).map((cue, index) => {
+      const text = cue.turn ? `${speakerName(transcript, cue.speaker)}: ${cue.text}` : cue.text;
+      return [
+        index + 1,
+        `${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}`,
+        ...wrapLines(text)
+      ].join('\n');
+    }).join('\n\n') + '\n';
+  }
+
+  /**
+   * Escape the characters WebVTT treats as markup
+   */
+  function escapeVtt(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Build a WebVTT (.vtt) subtitle file, tagging each cue with its speaker's voice
+   */
+  function toVtt(transcript) {
+    const cues = buildCues(transcript).map((cue) => {
+      const lines = wrapLines(cue.text).map(escapeVtt);
+      if (cue.speaker) {
+        lines[0] = `<v ${escapeVtt(speakerName(transcript, cue.speaker))}>${lines[0]}`;
+      }
+      return [`${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`, ...lines].join('\n');
+    });
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+  }
+
+  /**
+   * Build a plain text script: one "[HH:MM:SS] Speaker: text" line per segment
+   */
+  function toText(transcript, details = {}) {
+    const lines = (transcript.segments || []).map((segment) => {
+      const name = speakerName(transcript, segment.speaker);
+      return `[${formatClock(segment.start)}] ${name ? `${name}: ` : ''}${segment.text}`;
+    });
+
+    if (lines.length === 0 && transcript.text) {
+      lines.push(transcript.text);
+    }
+    if (details.title) {
+      lines.unshift(details.title, '');
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Dump the full segment/word model as JSON
+   */
+  function toJson(transcript, details = {}) {
+    return JSON.stringify({
+      title: details.title || null,
+      url: details.url || null,
+      transcriptId: transcript.transcriptId || null,
+      text: transcript.text || '',
+      speakers: transcript.speakers || {},
+      annotations: transcript.annotations || [],
+      segments: transcript.segments || []
+    }, null, 2) + '\n';
+  }
+
+  const SERIALIZERS = {
+    srt: toSrt,
+    vtt: toVtt,
+    txt: toText,
+    json: toJson
+  };
+
+  /**
+   * Serialize a transcript to one of the FORMATS.
+   * Returns the file content together with its extension and MIME type.
+   */
+  function exportTranscript(transcript, format, details = {}) {
+    const definition = FORMATS[format];
+    if (!definition) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+    return {
+      content: SERIALIZERS[format](transcript, details),
+      extension: definition.extension,
+      mimeType: definition.mimeType
+    };
+  }
+
+  global.BetterFrameTranscriptExport = {
+    FORMATS,
+    buildCues,
+    wrapLines,
+    toSrt,
+    toVtt,
+    toText,
+    toJson,
+    exportTranscript
+  };
+})(globalThis);
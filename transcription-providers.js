@@ -0,0 +1,453 @@
+// BetterFrame - Transcription Providers
+// One interface (submit, poll, normalize) over AssemblyAI, OpenAI-compatible APIs and a local Whisper server
+//
+// needsMedia(state) tells whether submit() still has to send the media file.
+// submit() and poll() take a context of { signal, state, onProgress }:
+// - signal (AbortSignal) cancels every request and wait
+// - state is kept by the caller across retries; providers record finished steps in it
+//   (upload URL, job id) and skip them when they are called again
+// - onProgress({ stage, loaded, total }) reports 'upload', 'queued' and 'processing'
+
+(function(global) {
+  'use strict';
+
+  const log = BetterFrameLogger.create('Transcribe');
+
+  const ASSEMBLYAI_API = 'https://api.assemblyai.com/v2';
+  const OPENAI_MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+  // Status polling backs off from 2s to at most 15s between checks, and gives up after 90 minutes
+  const POLL_INITIAL_DELAY_MS = 2000;
+  const POLL_BACKOFF_FACTOR = 1.5;
+  const POLL_MAX_DELAY_MS = 15000;
+  const POLL_TIMEOUT_MS = 90 * 60 * 1000;
+
+  /**
+   * File extensions OpenAI-compatible endpoints use to detect the upload's format
+   */
+  const UPLOAD_EXTENSIONS = {
+    'video/mp4': 'mp4',
+    'video/quicktime': 'mov',
+    'video/webm': 'webm',
+    'audio/mp4': 'm4a',
+    'audio/mpeg': 'mp3',
+    'audio/wav': 'wav',
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg'
+  };
+
+  /**
+   * Throw a readable error for a failed API response
+   */
+  async function assertOk(response, action) {
+    if (response.ok) return;
+    const errorText = await response.text();
+    log.error(`${action} error:`, errorText);
+    throw new Error(`${action} failed: ${response.status} - ${errorText}`);
+  }
+
+  /**
+   * Create the error used for a cancelled job
+   */
+  function abortError() {
+    return new DOMException('Transcription cancelled', 'AbortError');
+  }
+
+  /**
+   * Wait for a number of milliseconds, rejecting early if the signal aborts
+   */
+  function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+      }
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(abortError());
+        }, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Send a request body with upload progress (fetch can't report it).
+   * Resolves with a minimal Response-like object: { ok, status, text(), json() }.
+   */
+  function sendWithProgress(url, options) {
+    const { method, headers = {}, body, signal, onUploadProgress } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      const xhr = new XMLHttpRequest();
+      xhr.open(method, url);
+      Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+      xhr.upload.onprogress = (event) => {
+        if (onUploadProgress) {
+          onUploadProgress(event.loaded, event.lengthComputable ? event.total : body.size);
+        }
+      };
+      xhr.onload = () => resolve({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        text: async () => xhr.responseText,
+        json: async () => JSON.parse(xhr.responseText)
+      });
+      xhr.onerror = () => reject(new TypeError(`Network error while sending to ${url}`));
+      xhr.onabort = () => reject(abortError());
+
+      if (signal) {
+        signal.addEventListener('abort', () => xhr.abort(), { once: true });
+      }
+      xhr.send(body);
+    });
+  }
+
+  /**
+   * Strip punctuation and case so a timed word can be matched to the punctuated segment text
+   */
+  function comparableToken(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+  }
+
+  /**
+   * Whisper's word timestamps drop punctuation, which the segmenter needs for sentence breaks.
+   * Copy the punctuated tokens from the segment texts back onto the matching words.
+   */
+  function attachPunctuation(words, segments) {
+    const tokens = segments.flatMap((segment) => (segment.text || '').trim().split(/\s+/).filter(Boolean));
+    let tokenIndex = 0;
+
+    return words.map((word) => {
+      const target = comparableToken(word.text);
+      // Allow a couple of tokens of drift where the two lists disagree
+      for (let offset = 0; offset < 3 && tokenIndex + offset < tokens.length; offset++) {
+        if (comparableToken(tokens[tokenIndex + offset]) === target) {
+          const text = tokens[tokenIndex + offset];
+          tokenIndex += offset + 1;
+          return { ...word, text: text };
+        }
+      }
+      return word;
+    });
+  }
+
+  /**
+   * Spread a segment's words evenly over its duration, for servers that only return segment timing
+   */
+  function interpolateWords(segments) {
+    return segments.flatMap((segment) => {
+      const tokens = (segment.text || '').trim().split(/\s+/).filter(Boolean);
+      const step = tokens.length > 0 ? (segment.end - segment.start) / tokens.length : 0;
+      return tokens.map((token, index) => ({
+        text: token,
+        start: segment.start + step * index,
+        end: segment.start + step * (index + 1),
+        confidence: null,
+        speaker: null
+      }));
+    });
+  }
+
+  /**
+   * AssemblyAI: upload the file, create a job with speaker labels, poll until it finishes
+   */
+  const assemblyai = {
+    id: 'assemblyai',
+    label: 'AssemblyAI',
+    requiresApiKey: true,
+
+    /**
+     * The media is only needed until it has been uploaded
+     */
+    needsMedia(state) {
+      return !state.uploadUrl;
+    },
+
+    /**
+     * Upload the media and start a transcription job, skipping whichever step already succeeded
+     */
+    async submit(mediaBlob, config, context) {
+      const { signal, state, onProgress } = context;
+      const api = config.endpoint || ASSEMBLYAI_API;
+
+      if (!state.uploadUrl) {
+        log.debug('STEP 1: Uploading media to AssemblyAI');
+        log.debug('Media size:', (mediaBlob.size / 1024 / 1024).toFixed(2), 'MB');
+
+        const startTime = Date.now();
+        const uploadResponse = await sendWithProgress(`${api}/upload`, {
+          method: 'POST',
+          headers: {
+            'authorization': config.apiKey,
+            'content-type': 'application/octet-stream'
+          },
+          body: mediaBlob,
+          signal: signal,
+          onUploadProgress: (loaded, total) => onProgress({ stage: 'upload', loaded, total })
+        });
+        await assertOk(uploadResponse, 'Upload');
+
+        state.uploadUrl = (await uploadResponse.json()).upload_url;
+        log.info('✓ Upload completed in', ((Date.now() - startTime) / 1000).toFixed(2), 'seconds');
+      } else {
+        log.debug('Reusing earlier upload:', state.uploadUrl);
+      }
+
+      if (!state.jobId) {
+        log.debug('STEP 2: Creating transcription job');
+        const jobResponse = await fetch(`${api}/transcript`, {
+          method: 'POST',
+          headers: {
+            'authorization': config.apiKey,
+            'content-type': 'application/json'
+          },
+          body: JSON.stringify({
+            audio_url: state.uploadUrl,
+            speaker_labels: true
+          }),
+          signal: signal
+        });
+        await assertOk(jobResponse, 'Transcription creation');
+
+        state.jobId = (await jobResponse.json()).id;
+        log.info('✓ Transcription job created:', state.jobId);
+      } else {
+        log.debug('Resuming transcription job:', state.jobId);
+      }
+
+      return { id: state.jobId };
+    },
+
+    /**
+     * Check the job with exponential backoff and resolve with AssemblyAI's finished transcript
+     */
+    async poll(job, config, context) {
+      const { signal, onProgress } = context;
+      const api = config.endpoint || ASSEMBLYAI_API;
+      log.debug('STEP 3: Polling for completion');
+
+      const startTime = Date.now();
+      let delay = POLL_INITIAL_DELAY_MS;
+      for (let pollCount = 1; ; pollCount++) {
+        const elapsedTime = ((Date.now() - startTime) / 1000).toFixed(0);
+        log.debug(`Poll #${pollCount} (${elapsedTime}s elapsed) - Checking status...`);
+
+        const response = await fetch(`${api}/transcript/${job.id}`, {
+          headers: { 'authorization': config.apiKey },
+          signal: signal
+        });
+        await assertOk(response, 'Transcription status');
+
+        const data = await response.json();
+        log.debug(`Status: ${data.status.toUpperCase()}`);
+
+        if (data.status === 'completed') {
+          log.info('✓ TRANSCRIPTION COMPLETED in', ((Date.now() - startTime) / 1000).toFixed(2), 'seconds');
+          return data;
+        }
+        if (data.status === 'error') {
+          log.error('Transcription error:', data.error);
+          throw new Error(`Transcription failed: ${data.error}`);
+        }
+        if (Date.now() - startTime > POLL_TIMEOUT_MS) {
+          throw new Error(`Still not finished after ${POLL_TIMEOUT_MS / 60000} minutes. Retry to keep waiting for job ${job.id}.`);
+        }
+
+        onProgress({ stage: data.status === 'queued' ? 'queued' : 'processing' });
+        await wait(delay, signal);
+        delay = Math.min(delay * POLL_BACKOFF_FACTOR, POLL_MAX_DELAY_MS);
+      }
+    },
+
+    /**
+     * AssemblyAI words are in milliseconds and already punctuated
+     */
+    normalize(result) {
+      return {
+        transcriptId: result.id || null,
+        text: result.text || '',
+        words: (result.words || []).map((word) => ({
+          text: word.text,
+          start: word.start / 1000,
+          end: word.end / 1000,
+          confidence: typeof word.confidence === 'number' ? word.confidence : null,
+          speaker: word.speaker || null
+        }))
+      };
+    }
+  };
+
+  /**
+   * Build a provider for an OpenAI-style `/audio/transcriptions` endpoint.
+   * The request is synchronous, so submit does the work and poll just hands back the result.
+   * Once the upload finishes the server is transcribing, so progress switches to 'processing'.
+   */
+  function createOpenAICompatibleProvider(options) {
+    return {
+      id: options.id,
+      label: options.label,
+      requiresApiKey: options.requiresApiKey,
+
+      /**
+       * The media is sent with the transcription request itself
+       */
+      needsMedia(state) {
+        return !state.result;
+      },
+
+      /**
+       * Send the media as multipart form data and wait for the verbose JSON response
+       */
+      async submit(mediaBlob, config, context) {
+        const { signal, state, onProgress } = context;
+        if (state.result) {
+          return { result: state.result };
+        }
+        if (options.maxUploadBytes && mediaBlob.size > options.maxUploadBytes) {
+          throw new Error(`${options.label} accepts files up to ${options.maxUploadBytes / 1024 / 1024} MB; this one is ${(mediaBlob.size / 1024 / 1024).toFixed(1)} MB`);
+        }
+
+        const endpoint = `${config.endpoint.replace(/\/+$/, '')}/audio/transcriptions`;
+        log.debug(`STEP 1: Sending media to ${options.label}`);
+        log.debug('Endpoint:', endpoint);
+
+        const extension = UPLOAD_EXTENSIONS[mediaBlob.type.split(';')[0]] || 'mp4';
+        const form = new FormData();
+        form.append('file', mediaBlob, `media.${extension}`);
+        if (config.model) {
+          form.append('model', config.model);
+        }
+        form.append('response_format', 'verbose_json');
+        form.append('timestamp_granularities[]', 'word');
+        form.append('timestamp_granularities[]', 'segment');
+
+        const headers = {};
+        if (config.apiKey) {
+          headers['authorization'] = `Bearer ${config.apiKey}`;
+        }
+
+        let response;
+        try {
+          response = await sendWithProgress(endpoint, {
+            method: 'POST',
+            headers: headers,
+            body: form,
+            signal: signal,
+            onUploadProgress: (loaded, total) => {
+              onProgress(loaded < total ? { stage: 'upload', loaded, total } : { stage: 'processing' });
+            }
+          });
+        } catch (error) {
+          if (error.name === 'AbortError') throw error;
+          throw new Error(`Could not reach ${endpoint}. Is the server running, and does it allow requests from the extension (CORS)?`);
+        }
+        await assertOk(response, 'Transcription');
+
+        state.result = await response.json();
+        log.info('✓ TRANSCRIPTION COMPLETED');
+        return { result: state.result };
+      },
+
+      /**
+       * Nothing to wait for: the result came back with the submit request
+       */
+      async poll(job) {
+        return job.result;
+      },
+
+      /**
+       * Verbose JSON has unpunctuated words in seconds plus punctuated segments
+       */
+      normalize(result) {
+        const segments = result.segments || [];
+        const words = Array.isArray(result.words) && result.words.length > 0
+          ? attachPunctuation(result.words.map((word) => ({
+            text: (word.word || word.text || '').trim(),
+            start: word.start,
+            end: word.end,
+            confidence: typeof word.probability === 'number' ? word.probability : null,
+            speaker: null
+          })), segments)
+          : interpolateWords(segments);
+
+        return {
+          transcriptId: result.id || null,
+          text: result.text || words.map((word) => word.text).join(' '),
+          words: words.filter((word) => word.text)
+        };
+      }
+    };
+  }
+
+  const PROVIDERS = {
+    assemblyai: assemblyai,
+    openai: createOpenAICompatibleProvider({
+      id: 'openai',
+      label: 'OpenAI',
+      requiresApiKey: true,
+      maxUploadBytes: OPENAI_MAX_UPLOAD_BYTES
+    }),
+    whisper: createOpenAICompatibleProvider({
+      id: 'whisper',
+      label: 'Local Whisper server',
+      requiresApiKey: false
+    })
+  };
+
+  /**
+   * Get a provider by id
+   */
+  function get(id) {
+    const provider = PROVIDERS[id];
+    if (!provider) {
+      throw new Error(`Unknown transcription provider: ${id}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Pick the API key, endpoint and model for a provider out of the settings object
+   */
+  function configFromSettings(settings) {
+    switch (settings.transcriptionProvider) {
+      case 'openai':
+        return { apiKey: settings.openaiApiKey, endpoint: settings.openaiEndpoint, model: settings.openaiModel };
+      case 'whisper':
+        return { apiKey: '', endpoint: settings.whisperEndpoint, model: settings.whisperModel };
+      default:
+        return { apiKey: settings.assemblyaiApiKey, endpoint: ASSEMBLYAI_API, model: '' };
+    }
+  }
+
+  /**
+   * Get the provider chosen in settings with its config, or throw if its API key or endpoint is missing
+   */
+  function resolve(settings) {
+    const provider = get(settings.transcriptionProvider);
+    const config = configFromSettings(settings);
+
+    if (provider.requiresApiKey && !config.apiKey) {
+      throw new Error(`No API key found. Please add your ${provider.label} API key in the extension popup.`);
+    }
+    if (!config.endpoint) {
+      throw new Error(`No endpoint URL set for ${provider.label}. Please add it in the extension popup.`);
+    }
+    return { provider, config };
+  }
+
+  global.BetterFrameTranscriptionProviders = {
+    PROVIDERS,
+    wait,
+    get,
+    configFromSettings,
+    resolve
+  };
+})(globalThis);